@@ -0,0 +1,109 @@
+// lib/audit.js
+// Append-only audit trail of account and planning activity: one JSON object
+// per line. The file is only ever rewritten to forget a deleted account.
+//
+//   audit.record({ action, outcome, userId, ip, ...detail })
+//   audit.forUser(userId, { limit })  -> that account's events as it may see
+//                                        them, newest first
+//   audit.forget(userId, alias?)      -> drops the account's own events and
+//                                        returns the alias replacing it in
+//                                        other people's
+//   newAlias()                        -> a fresh alias for a deleted account
+//
+// Events about an account done by someone else (an admin locking it) carry
+// the account in `target` and show up for it too, but without who did it or
+// from where.
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+const key = id => (id ? String(id).toLowerCase() : null);
+const concerns = (event, userId) => key(event.userId) === key(userId) || key(event.target) === key(userId);
+
+export function newAlias() {
+    return `deleted-${crypto.randomBytes(6).toString("hex")}`;
+}
+
+// Actor details (account, IP, user agent) are only shown to the actor
+function asSeenBy(event, userId) {
+    if (key(event.userId) === key(userId)) return event;
+    const { userId: actor, ip, userAgent, ...rest } = event;
+    return rest;
+}
+
+function parse(line) {
+    try {
+        return JSON.parse(line);
+    } catch {
+        return null; // a line cut short by a crash
+    }
+}
+
+export class AuditLog {
+    constructor({ file }) {
+        this.file = file;
+        this.queue = Promise.resolve();
+    }
+
+    // Never throws: losing an audit line must not fail the request that
+    // caused it. Appends are queued so lines can't interleave.
+    record({ action, outcome, userId = null, ip = null, ...detail }) {
+        const event = { at: new Date().toISOString(), action, outcome, userId, ip, ...detail };
+        this.queue = this.queue
+            .then(async() => {
+                await fs.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.appendFile(this.file, JSON.stringify(event) + "\n", "utf-8");
+            })
+            .catch(e => console.error(`Audit log: could not write ${action}:`, e.message));
+        return this.queue;
+    }
+
+    async forUser(userId, { limit = 50 } = {}) {
+        await this.queue;
+        const events = [];
+        for (const line of (await this.readLines()).reverse()) {
+            const event = parse(line);
+            if (event && concerns(event, userId)) {
+                events.push(asSeenBy(event, userId));
+                if (events.length >= limit) break;
+            }
+        }
+        return events;
+    }
+
+    // Rewrites the file without the account's own events (temp file +
+    // rename, queued behind pending appends). Events by others about the
+    // account stay, naming it by a random alias instead. Unlike record(),
+    // failures propagate.
+    forget(userId, alias = newAlias()) {
+        const run = this.queue.then(async() => {
+            const lines = await this.readLines();
+            let changed = false;
+            const kept = lines.flatMap(line => {
+                const event = parse(line);
+                if (!event || !concerns(event, userId)) return [line];
+                changed = true;
+                if (key(event.userId) === key(userId)) return [];
+                return [JSON.stringify({ ...event, target: alias })];
+            });
+            if (!changed) return alias;
+
+            const tmp = `${this.file}.${process.pid}.tmp`;
+            await fs.writeFile(tmp, kept.map(line => line + "\n").join(""), "utf-8");
+            await fs.rename(tmp, this.file);
+            return alias;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async readLines() {
+        try {
+            return (await fs.readFile(this.file, "utf-8")).split("\n").filter(Boolean);
+        } catch (e) {
+            if (e.code === "ENOENT") return [];
+            throw e;
+        }
+    }
+}
@@ -0,0 +1,105 @@
+// lib/cache.js
+// In-memory TTL cache with request coalescing, an LRU size bound, optional
+// persistence to disk and stale fallback when the upstream fails.
+
+import fs from "fs/promises";
+
+export class TtlCache {
+    constructor({ maxEntries = 500, file = null, saveDelayMs = 5000 } = {}) {
+        this.maxEntries = maxEntries;
+        this.file = file;
+        this.saveDelayMs = saveDelayMs;
+        this.entries = new Map();
+        this.inflight = new Map();
+        this.saveTimer = null;
+    }
+
+    // Entries are kept after they expire so wrap() can still serve them as
+    // stale; the size bound is what eventually drops them.
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    set(key, value, ttlMs) {
+        const now = Date.now();
+        this.entries.delete(key);
+        this.entries.set(key, { value, storedAt: now, expiresAt: now + ttlMs });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.scheduleSave();
+    }
+
+    // Return the cached value if fresh, otherwise call fn once per key no
+    // matter how many callers are waiting. If fn fails and an expired value
+    // exists, that value is returned with stale: true.
+    async wrap(key, ttlMs, fn) {
+        const entry = this.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            return { value: entry.value, stale: false, cachedAt: entry.storedAt };
+        }
+
+        if (!this.inflight.has(key)) {
+            const p = (async () => {
+                try {
+                    const value = await fn();
+                    this.set(key, value, ttlMs);
+                    return { value, stale: false, cachedAt: Date.now() };
+                } finally {
+                    this.inflight.delete(key);
+                }
+            })();
+            this.inflight.set(key, p);
+        }
+
+        try {
+            return await this.inflight.get(key);
+        } catch (e) {
+            const old = this.entries.get(key);
+            if (!old) throw e;
+            console.warn(`Serving stale cache for ${key}: ${e.message}`);
+            return { value: old.value, stale: true, cachedAt: old.storedAt };
+        }
+    }
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    async load() {
+        if (!this.file) return;
+        try {
+            const raw = await fs.readFile(this.file, "utf-8");
+            const data = JSON.parse(raw || "{}");
+            for (const [key, entry] of data.entries || []) {
+                this.entries.set(key, entry);
+            }
+            while (this.entries.size > this.maxEntries) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+        } catch (e) {
+            if (e.code !== "ENOENT") console.warn(`Could not load cache file: ${e.message}`);
+        }
+    }
+
+    scheduleSave() {
+        if (!this.file || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(e => console.warn(`Could not save cache file: ${e.message}`));
+        }, this.saveDelayMs);
+        this.saveTimer.unref?.();
+    }
+
+    async save() {
+        if (!this.file) return;
+        const tmp = `${this.file}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify({ entries: [...this.entries] }), "utf-8");
+        await fs.rename(tmp, this.file);
+    }
+}
@@ -0,0 +1,357 @@
+// lib/llm.js
+// LLM provider layer: Ollama, OpenAI-compatible chat completions and an
+// offline mock, selected by config.json with environment overrides.
+//
+// Every provider exposes:
+//   generate(prompt, { json, signal, task })          -> full response text
+//   stream(prompt, { json, signal, task, onToken })   -> full response text, calling
+//                                                        onToken for each piece
+//
+// `task` is the structured request behind the prompt:
+//   { kind: "plan", destination, legs?, dates? } or { kind: "day", destination, date }
+// Real models only read the prompt; the mock answers from the task.
+
+import crypto from "crypto";
+
+const DEFAULT_TIMEOUT_MS = 120000;
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+export function resolveLlmConfig(config = {}, env = process.env) {
+    const ollama = config.ollama || {};
+    const openai = config.openai || {};
+    const timeout = env.LLM_TIMEOUT_MS ? Number(env.LLM_TIMEOUT_MS) : null;
+
+    return {
+        provider: env.LLM_PROVIDER || config.llm?.provider || "ollama",
+        ollama: {
+            host: env.OLLAMA_HOST || ollama.host || "http://127.0.0.1:11434",
+            model: env.OLLAMA_MODEL || ollama.model || "llama3",
+            options: ollama.options || {},
+            timeoutMs: timeout || ollama.timeoutMs || DEFAULT_TIMEOUT_MS,
+        },
+        openai: {
+            baseUrl: env.OPENAI_BASE_URL || openai.baseUrl || "https://api.openai.com/v1",
+            model: env.OPENAI_MODEL || openai.model || "gpt-4o-mini",
+            apiKey: env.OPENAI_API_KEY || (openai.apiKeyEnv ? env[openai.apiKeyEnv] : "") || "",
+            options: openai.options || {},
+            timeoutMs: timeout || openai.timeoutMs || DEFAULT_TIMEOUT_MS,
+        },
+        mock: {
+            latencyMs: Number(env.MOCK_LLM_LATENCY_MS ?? config.mock?.latencyMs ?? 0),
+        },
+    };
+}
+
+export function createLlm(config = {}, env = process.env) {
+    const resolved = resolveLlmConfig(config, env);
+    const factory = PROVIDERS[resolved.provider];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${resolved.provider}". Use one of: ${Object.keys(PROVIDERS).join(", ")}`);
+    }
+    return factory(resolved[resolved.provider]);
+}
+
+// ============================================================================
+// SHARED HELPERS
+// ============================================================================
+
+// Combine the caller's abort signal with the provider timeout so either one
+// cancels the upstream request.
+function withTimeout(signal, timeoutMs) {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+// The timeout also covers reading the body, so whole calls go through this
+// to report it the same way whenever it fires.
+async function reportTimeout({ name, timeoutMs }, run) {
+    try {
+        return await run();
+    } catch (e) {
+        if (e.name === "TimeoutError") throw new Error(`${name} timed out after ${timeoutMs} ms`);
+        throw e;
+    }
+}
+
+async function postJson(url, body, { headers = {}, signal, timeoutMs, name }) {
+    const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+        signal: withTimeout(signal, timeoutMs),
+    });
+
+    if (!res.ok) {
+        const text = await res.text();
+        throw new Error(`${name} error ${res.status}: ${text}`);
+    }
+    return res;
+}
+
+// Yield complete lines from a fetch response body as they arrive.
+async function* readLines(res) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            let nl;
+            while ((nl = buffer.indexOf("\n")) !== -1) {
+                const line = buffer.slice(0, nl);
+                buffer = buffer.slice(nl + 1);
+                yield line;
+            }
+        }
+        if (buffer) yield buffer;
+    } finally {
+        reader.cancel().catch(() => {});
+    }
+}
+
+// ============================================================================
+// OLLAMA
+// ============================================================================
+
+function ollamaProvider({ host, model, options, timeoutMs }) {
+    const url = `${host.replace(/\/$/, "")}/api/generate`;
+    const body = (prompt, json, stream) => ({
+        model,
+        prompt,
+        stream,
+        options,
+        ...(json ? { format: "json" } : {}),
+    });
+
+    const call = { timeoutMs, name: "Ollama" };
+
+    return {
+        name: "ollama",
+        model,
+
+        generate(prompt, { json = false, signal } = {}) {
+            return reportTimeout(call, async() => {
+                const res = await postJson(url, body(prompt, json, false), { signal, ...call });
+                const data = await res.json();
+                return data.response || "";
+            });
+        },
+
+        // Ollama answers with one JSON object per line, each carrying the
+        // next piece of the response.
+        stream(prompt, { json = false, signal, onToken } = {}) {
+            return reportTimeout(call, async() => {
+                const res = await postJson(url, body(prompt, json, true), { signal, ...call });
+                let full = "";
+                for await (const line of readLines(res)) {
+                    if (!line.trim()) continue;
+                    const data = JSON.parse(line);
+                    if (data.error) throw new Error(`Ollama error: ${data.error}`);
+                    if (data.response) {
+                        full += data.response;
+                        onToken?.(data.response);
+                    }
+                    if (data.done) break;
+                }
+                return full;
+            });
+        },
+    };
+}
+
+// ============================================================================
+// OPENAI-COMPATIBLE (/v1/chat/completions)
+// ============================================================================
+
+function openaiProvider({ baseUrl, model, apiKey, options, timeoutMs }) {
+    const url = `${baseUrl.replace(/\/$/, "")}/chat/completions`;
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    const body = (prompt, json, stream) => ({
+        model,
+        messages: [{ role: "user", content: prompt }],
+        stream,
+        ...options,
+        ...(json ? { response_format: { type: "json_object" } } : {}),
+    });
+
+    const call = { timeoutMs, name: "LLM" };
+
+    return {
+        name: "openai",
+        model,
+
+        generate(prompt, { json = false, signal } = {}) {
+            return reportTimeout(call, async() => {
+                const res = await postJson(url, body(prompt, json, false), { headers, signal, ...call });
+                const data = await res.json();
+                return data.choices?.[0]?.message?.content || "";
+            });
+        },
+
+        // Server-Sent Events: "data: {chunk}" lines, terminated by "data: [DONE]"
+        stream(prompt, { json = false, signal, onToken } = {}) {
+            return reportTimeout(call, async() => {
+                const res = await postJson(url, body(prompt, json, true), { headers, signal, ...call });
+                let full = "";
+                for await (const line of readLines(res)) {
+                    const trimmed = line.trim();
+                    if (!trimmed.startsWith("data:")) continue;
+                    const payload = trimmed.slice(5).trim();
+                    if (payload === "[DONE]") break;
+
+                    const data = JSON.parse(payload);
+                    if (data.error) throw new Error(`LLM error: ${data.error.message || data.error}`);
+                    const text = data.choices?.[0]?.delta?.content;
+                    if (text) {
+                        full += text;
+                        onToken?.(text);
+                    }
+                }
+                return full;
+            });
+        },
+    };
+}
+
+// ============================================================================
+// MOCK
+// ============================================================================
+
+// Deterministic answers built from the request's task, so the planner can be
+// exercised offline: the same request always yields the same JSON.
+
+const MOCK_PLACES = [
+    ["Old Town", "landmark", "Wander the historic center and its main square."],
+    ["City Museum", "museum", "Local history and art collections."],
+    ["Riverside Park", "nature", "Green space for a relaxed walk or picnic."],
+    ["Central Market", "food", "Street food and regional specialties."],
+    ["Harbor District", "neighborhood", "Lively area with cafes and views."],
+    ["Main Cathedral", "landmark", "Architectural highlight of the city."],
+    ["Night Market", "shopping", "Evening stalls with crafts and snacks."],
+    ["Lookout Hill", "nature", "Panoramic views, best at sunset."],
+];
+
+function seeded(text) {
+    const hash = crypto.createHash("sha256").update(text).digest();
+    let i = 0;
+    return n => hash[i++ % hash.length] % n;
+}
+
+function mockPlan(task) {
+    const destination = task.destination.split(",")[0];
+    const pick = seeded(destination);
+    const offset = pick(MOCK_PLACES.length);
+    const places = Array.from({ length: 6 }, (_, k) => MOCK_PLACES[(offset + k) % MOCK_PLACES.length]);
+
+    const plan = {
+        attractions: places.map(([name, category, description]) => ({
+            name: `${destination} ${name}`,
+            description,
+            category,
+        })),
+        packing: [
+            { category: "clothing", items: ["Comfortable walking shoes", "Layers for changing weather"] },
+            { category: "electronics", items: ["Phone charger", "Power adapter"] },
+            { category: "documents", items: ["Passport or ID", "Travel insurance details"] },
+            { category: "toiletries", items: ["Sunscreen", "Travel-size toiletries"] },
+            { category: "others", items: ["Reusable water bottle"] },
+        ],
+        precautions: [
+            { type: "safety", tips: ["Keep valuables out of sight in crowded areas."] },
+            { type: "culture", tips: [`Learn a few basic phrases used in ${destination}.`] },
+            { type: "health", tips: ["Stay hydrated and carry any regular medication."] },
+            { type: "transportation", tips: ["Buy a day pass for public transport."] },
+            { type: "seasonal", tips: ["Check the forecast each morning."] },
+        ],
+    };
+
+    const legs = (task.legs || []).map(l => ({ city: l.destination, startDate: l.startDate }));
+    if (legs.length > 1) {
+        plan.attractions.forEach((a, i) => {
+            a.city = legs[i % legs.length].city;
+            a.name = a.name.replace(destination, a.city.split(",")[0]);
+        });
+        plan.transit = legs.slice(1).map((leg, i) => ({
+            from: legs[i].city,
+            to: leg.city,
+            date: leg.startDate,
+            mode: "train",
+            duration: "about 3 hours",
+            tips: ["Book a few days ahead for the best fares."],
+        }));
+    }
+
+    if (task.dates) {
+        plan.itinerary = task.dates.map((date, i) => ({
+            date,
+            morning: [{ name: plan.attractions[i % 6].name, description: plan.attractions[i % 6].description }],
+            afternoon: [{ name: plan.attractions[(i + 1) % 6].name, description: plan.attractions[(i + 1) % 6].description }],
+            evening: [{ name: `Dinner near ${plan.attractions[(i + 2) % 6].name}`, description: "Try a local restaurant." }],
+        }));
+    }
+    return plan;
+}
+
+// Seeded from the whole prompt so regenerating after other edits varies
+function mockDay(prompt, { date }) {
+    const pick = seeded(prompt);
+    const place = () => MOCK_PLACES[pick(MOCK_PLACES.length)];
+    const [m, a, e] = [place(), place(), place()];
+    return {
+        morning: [{ name: m[0], description: m[2] }],
+        afternoon: [{ name: a[0], description: a[2] }],
+        evening: [{ name: `Evening at ${e[0]}`, description: `Planned for ${date}.` }],
+    };
+}
+
+export function mockRespond(prompt, task) {
+    if (task?.kind === "day") return JSON.stringify(mockDay(prompt, task));
+    if (task?.kind === "plan") return JSON.stringify(mockPlan(task));
+    throw new Error(`The mock LLM needs a plan or day task, got ${task?.kind || "none"}`);
+}
+
+function mockProvider({ latencyMs }) {
+    const wait = (ms, signal) =>
+        new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(signal.reason);
+            const t = setTimeout(resolve, ms);
+            signal?.addEventListener("abort", () => {
+                clearTimeout(t);
+                reject(signal.reason);
+            }, { once: true });
+        });
+
+    return {
+        name: "mock",
+        model: "mock",
+
+        async generate(prompt, { signal, task } = {}) {
+            if (latencyMs) await wait(latencyMs, signal);
+            return mockRespond(prompt, task);
+        },
+
+        async stream(prompt, { signal, task, onToken } = {}) {
+            const text = mockRespond(prompt, task);
+            const chunks = text.match(/[\s\S]{1,24}/g) || [];
+            for (const chunk of chunks) {
+                if (latencyMs) await wait(latencyMs / chunks.length, signal);
+                if (signal?.aborted) throw signal.reason;
+                onToken?.(chunk);
+            }
+            return text;
+        },
+    };
+}
+
+const PROVIDERS = {
+    ollama: ollamaProvider,
+    openai: openaiProvider,
+    mock: mockProvider,
+};
@@ -0,0 +1,70 @@
+// lib/mailer.js
+// Outgoing message delivery behind a small transport interface, selected by
+// config.json with an environment override.
+//
+// Every transport exposes:
+//   send({ to, subject, text })   -> resolves once the message is handed off
+//
+// Transports:
+//   outbox  - appends each message to a JSONL file and logs it (development)
+//   log     - only logs to the console, body included (development)
+//
+// The outbox logs name the recipient and subject only: bodies carry working
+// reset links and are in the file. Set mail.logBodies (or MAIL_LOG_BODIES=1)
+// to print them too. The log transport always prints them, since the
+// console is the only place its messages are delivered.
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+export function createMailer(config = {}, { baseDir = process.cwd(), env = process.env } = {}) {
+    const mail = config.mail || {};
+    const name = env.MAIL_TRANSPORT || mail.transport || "outbox";
+    const factory = TRANSPORTS[name];
+    if (!factory) {
+        throw new Error(`Unknown mail transport "${name}". Use one of: ${Object.keys(TRANSPORTS).join(", ")}`);
+    }
+    const logBodies = env.MAIL_LOG_BODIES ? env.MAIL_LOG_BODIES === "1" : mail.logBodies === true;
+    return factory({
+        from: mail.from || "Travel Explorer <no-reply@localhost>",
+        outboxFile: path.resolve(baseDir, mail.outboxFile || "data/outbox.jsonl"),
+        log: message => logMessage(message, { body: logBodies }),
+    });
+}
+
+function logMessage(message, { body = false } = {}) {
+    console.log(`[mail] to=${message.to} subject="${message.subject}"${body ? `\n${message.text}` : ""}`);
+}
+
+// ============================================================================
+// TRANSPORTS
+// ============================================================================
+
+function outboxTransport({ from, outboxFile, log }) {
+    return {
+        name: "outbox",
+
+        async send({ to, subject, text }) {
+            const message = { id: crypto.randomUUID(), from, to, subject, text, sentAt: new Date().toISOString() };
+            await fs.mkdir(path.dirname(outboxFile), { recursive: true });
+            await fs.appendFile(outboxFile, JSON.stringify(message) + "\n", "utf-8");
+            log(message);
+        },
+    };
+}
+
+function logTransport({ from }) {
+    return {
+        name: "log",
+
+        async send({ to, subject, text }) {
+            logMessage({ from, to, subject, text }, { body: true });
+        },
+    };
+}
+
+const TRANSPORTS = {
+    outbox: outboxTransport,
+    log: logTransport,
+};
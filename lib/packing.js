@@ -0,0 +1,112 @@
+// lib/packing.js
+// Per-trip packing checklist: the plan's packing list plus items the trip's
+// weather calls for, which travelers then check off, edit and add to.
+//
+//   buildPackingList(trip)           -> { items } for a trip without one yet
+//   weatherSuggestions(weather)      -> [{ key, name, category, quantity, reason }]
+//   normalizeItem(input, current)    -> { item, error }
+//
+// Items are { id, name, category, quantity, checked, source, ... } where
+// source is "plan", "weather" or "custom".
+
+import { PACKING_CATEGORIES } from "./plan.js";
+
+const MAX_NAME_LENGTH = 200;
+const MAX_QUANTITY = 99;
+
+// Daily maxima at or above these trigger a suggestion
+const RAINY_PRECIP_PROB = 50;
+const HIGH_UV_INDEX = 6;
+const POOR_US_AQI = 101; // "unhealthy for sensitive groups" and worse
+
+const maxOf = (days, key) => Math.round(Math.max(...days.map(d => d[key])));
+
+export function weatherSuggestions(weather) {
+    const days = weather?.days || [];
+    const suggestions = [];
+
+    const rainy = days.filter(d => d.precip_prob_max >= RAINY_PRECIP_PROB);
+    if (rainy.length) {
+        suggestions.push({
+            key: "umbrella",
+            name: "Umbrella",
+            category: "others",
+            quantity: 1,
+            reason: `Rain likely on ${rainy.length} of ${days.length} days (up to ${maxOf(rainy, "precip_prob_max")}%)`,
+        });
+    }
+
+    const sunny = days.filter(d => d.uv_index_max >= HIGH_UV_INDEX);
+    if (sunny.length) {
+        suggestions.push({
+            key: "sunscreen",
+            name: "Sunscreen (SPF 30+)",
+            category: "toiletries",
+            quantity: 1,
+            reason: `High UV on ${sunny.length} of ${days.length} days (index up to ${maxOf(sunny, "uv_index_max")})`,
+        });
+    }
+
+    // One mask per bad-air day
+    const smoggy = days.filter(d => d.us_aqi_max >= POOR_US_AQI);
+    if (smoggy.length) {
+        suggestions.push({
+            key: "mask",
+            name: "Face masks (N95/KN95)",
+            category: "others",
+            quantity: smoggy.length,
+            reason: `Poor air quality on ${smoggy.length} of ${days.length} days (AQI up to ${maxOf(smoggy, "us_aqi_max")})`,
+        });
+    }
+
+    return suggestions;
+}
+
+// Ids are derived from the plan so a list built on the fly matches the one
+// saved on the first edit. Suggestions the plan already covers are skipped.
+export function buildPackingList({ plan, weather }) {
+    const fromPlan = (plan?.packing || []).flatMap(g => g.items.map((name, i) => ({
+        id: `plan-${g.category}-${i}`,
+        name,
+        category: g.category,
+        quantity: 1,
+        checked: false,
+        source: "plan",
+    })));
+
+    const fromWeather = weatherSuggestions(weather)
+        .filter(s => !fromPlan.some(item => item.name.toLowerCase().includes(s.key)))
+        .map(({ key, ...s }) => ({ id: `weather-${key}`, ...s, checked: false, source: "weather" }));
+
+    return { items: [...fromPlan, ...fromWeather] };
+}
+
+// Validates a new item or a partial update of `current`
+export function normalizeItem(input, current = null) {
+    const given = input && typeof input === "object" ? input : {};
+    const item = { category: "others", quantity: 1, checked: false, ...current };
+
+    if (given.name !== undefined || !current) {
+        const name = String(given.name ?? "").trim();
+        if (!name || name.length > MAX_NAME_LENGTH) return { error: `Item names must be 1-${MAX_NAME_LENGTH} characters` };
+        item.name = name;
+    }
+    if (given.category !== undefined) {
+        if (!PACKING_CATEGORIES.includes(given.category)) {
+            return { error: `Category must be one of: ${PACKING_CATEGORIES.join(", ")}` };
+        }
+        item.category = given.category;
+    }
+    if (given.quantity !== undefined) {
+        const quantity = Number(given.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+            return { error: `Quantity must be a whole number from 1 to ${MAX_QUANTITY}` };
+        }
+        item.quantity = quantity;
+    }
+    if (given.checked !== undefined) {
+        if (typeof given.checked !== "boolean") return { error: "checked must be true or false" };
+        item.checked = given.checked;
+    }
+    return { item };
+}
@@ -0,0 +1,365 @@
+// lib/plan.js
+// Travel plan prompt, JSON parsing and validation
+
+import crypto from "crypto";
+import { DEFAULT_PREFERENCES, PREFERENCE_OPTIONS } from "../public/preferences.js";
+
+export const ATTRACTION_CATEGORIES = [
+    "landmark",
+    "museum",
+    "nature",
+    "food",
+    "shopping",
+    "entertainment",
+    "neighborhood",
+    "other",
+];
+
+export const PACKING_CATEGORIES = ["clothing", "electronics", "documents", "toiletries", "others"];
+
+export const PRECAUTION_TYPES = ["safety", "culture", "health", "transportation", "seasonal"];
+
+export const DAY_SLOTS = ["morning", "afternoon", "evening"];
+
+export const TRANSIT_MODES = ["flight", "train", "bus", "car", "ferry", "other"];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const SLOT_SCHEMA = `{ "morning": [activity], "afternoon": [activity], "evening": [activity] }`;
+const ACTIVITY_SCHEMA = `activity = { "name": string, "description": string }`;
+
+// The leg a multi-city trip is in on `date`; on travel days, the next one.
+// Trips saved before legs existed have none.
+export function legOn(trip, date) {
+    return (trip.legs || []).filter(l => l.startDate <= date).pop() || null;
+}
+
+// Multi-city trips tag each attraction with its city and add the moves
+// between cities.
+function planSchema({ itinerary = false, multiCity = false } = {}) {
+    return `{
+  "attractions": [
+    { "name": string, "description": string, "category": ${ATTRACTION_CATEGORIES.map(c => `"${c}"`).join(" | ")}${multiCity ? `, "city": string` : ""} }
+  ],
+  "packing": [
+    { "category": ${PACKING_CATEGORIES.map(c => `"${c}"`).join(" | ")}, "items": [string] }
+  ],
+  "precautions": [
+    { "type": ${PRECAUTION_TYPES.map(c => `"${c}"`).join(" | ")}, "tips": [string] }
+  ]${multiCity ? `,
+  "transit": [
+    { "from": string, "to": string, "date": "YYYY-MM-DD", "mode": ${TRANSIT_MODES.map(c => `"${c}"`).join(" | ")}, "duration": string, "tips": [string] }
+  ]` : ""}${itinerary ? `,
+  "itinerary": [
+    { "date": "YYYY-MM-DD", "morning": [activity], "afternoon": [activity], "evening": [activity] }
+  ]` : ""}
+}${itinerary ? `
+where ${ACTIVITY_SCHEMA}` : ""}`;
+}
+
+// ============================================================================
+// PROMPTS
+// ============================================================================
+
+function range(values, unit) {
+    const vals = values.filter(v => v != null);
+    if (!vals.length) return null;
+    const lo = Math.round(Math.min(...vals));
+    const hi = Math.round(Math.max(...vals));
+    return lo === hi ? `${lo}${unit}` : `${lo}-${hi}${unit}`;
+}
+
+export function formatWeatherForPrompt(weather) {
+    if (!weather?.days?.length) return "";
+
+    const label = {
+        forecast: "forecast",
+        climate: `climate normals for these dates`,
+        mixed: "forecast where available, climate normals otherwise",
+    }[weather.source] || weather.source;
+
+    const lines = weather.days.map(d => {
+        const parts = [];
+        if (d.min_c != null && d.max_c != null) parts.push(`${Math.round(d.min_c)}-${Math.round(d.max_c)}°C`);
+        if (d.precip_prob_max != null) parts.push(`rain chance ${d.precip_prob_max}%`);
+        if (d.precip_mm != null) parts.push(`${d.precip_mm} mm precipitation`);
+        if (d.uv_index_max != null) parts.push(`UV index up to ${d.uv_index_max}`);
+        if (d.us_aqi_max != null) parts.push(`US AQI up to ${d.us_aqi_max}`);
+        return `- ${d.date}${d.location ? ` (${d.location})` : ""}: ${parts.join(", ") || "no data"}`;
+    });
+
+    const days = weather.days;
+    const rainy = days.filter(d => (d.precip_prob_max ?? 0) >= 50).length;
+    const overview = [
+        range(days.map(d => d.min_c), "°C") && `lows ${range(days.map(d => d.min_c), "°C")}`,
+        range(days.map(d => d.max_c), "°C") && `highs ${range(days.map(d => d.max_c), "°C")}`,
+        `rain likely on ${rainy} of ${days.length} days`,
+        range(days.map(d => d.uv_index_max), "") && `max UV ${range(days.map(d => d.uv_index_max), "")}`,
+        range(days.map(d => d.us_aqi_max), "") && `US AQI ${range(days.map(d => d.us_aqi_max), "")}`,
+    ].filter(Boolean);
+
+    return `Expected weather in ${weather.location} (${label}):
+${lines.join("\n")}
+Overall: ${overview.join("; ")}.`;
+}
+
+// Traveler preferences as prompt lines; defaults are left out so an
+// untouched profile doesn't steer the plan.
+export function formatTravelerForPrompt(traveler) {
+    if (!traveler) return "";
+    const differs = key => traveler[key] && traveler[key] !== DEFAULT_PREFERENCES[key];
+    const lines = [];
+    if (traveler.homeCity) lines.push(`- Traveling from: ${traveler.homeCity}`);
+    if (differs("budget")) lines.push(`- Budget: ${PREFERENCE_OPTIONS.budget[traveler.budget]}`);
+    if (differs("travelStyle")) lines.push(`- Travel style: ${PREFERENCE_OPTIONS.travelStyle[traveler.travelStyle]}`);
+    if (traveler.dietary?.length) {
+        lines.push(`- Dietary needs: ${traveler.dietary.map(d => PREFERENCE_OPTIONS.dietary[d] || d).join(", ")}`);
+    }
+    if (traveler.mobility) lines.push(`- Mobility: ${traveler.mobility}`);
+    if (!lines.length) return "";
+    return `About the traveler:
+${lines.join("\n")}
+Match the attractions, pace and food suggestions to this profile, and only suggest places that suit any dietary or mobility needs.`;
+}
+
+// JSON keys and enum values must stay in English whatever the language
+function languageInstruction(traveler) {
+    const language = traveler?.language && traveler.language !== "en" && PREFERENCE_OPTIONS.language[traveler.language];
+    return language ? ` Write all names, descriptions and tips in ${language}; keep JSON keys and category values in English.` : "";
+}
+
+// Cities of a multi-city trip in order; one-city trips get ""
+function formatLegsForPrompt(legs) {
+    if (!(legs?.length > 1)) return "";
+    return `The trip visits these cities in order:
+${legs.map((l, i) => `${i + 1}. ${l.destination}: ${l.startDate} to ${l.endDate}`).join("\n")}
+`;
+}
+
+export function buildPlanPrompt({ destination, startDate, endDate, weather, dates, traveler, legs }) {
+    const multiCity = legs?.length > 1;
+    const legsText = formatLegsForPrompt(legs);
+    const travelerText = formatTravelerForPrompt(traveler);
+    const travelerSection = travelerText ? `\n${travelerText}\n` : "";
+    const weatherText = formatWeatherForPrompt(weather);
+    const weatherSection = weatherText
+        ? `
+${weatherText}
+
+Tailor the packing list and precautions to this weather: dress for the expected temperatures, plan for rain on wet days, and cover sun protection for high UV and breathing protection for poor air quality.
+`
+        : "";
+
+    return `I'm planning a trip to ${destination}, from ${startDate} to ${endDate}.
+${legsText}${travelerSection}${weatherSection}
+Please provide travel recommendations as a single JSON object that matches this schema exactly:
+
+${planSchema({ itinerary: !!dates, multiCity })}
+
+Guidelines:
+- "attractions": ${multiCity ? `3-5 must-visit attractions or places per city, each with a brief description and "city" set to the city it is in.` : "5-7 must-visit attractions or places, each with a brief description."}
+- "packing": essential items to pack, grouped by category.
+- "precautions": safety tips, cultural customs, health recommendations, transportation tips and seasonal considerations.${multiCity ? `
+- "transit": exactly one entry for each move between consecutive cities (${legs.length - 1} in total), dated on the day the next city starts, with the most practical way to travel, a rough duration and booking tips.` : ""}${dates ? `
+- "itinerary": exactly one entry per day for these dates: ${dates.join(", ")}. Spread the attractions across the days and fill each morning, afternoon and evening slot with 1-2 activities; group nearby places on the same day and keep outdoor activities for the drier days.${multiCity ? " Each day's activities must be in the city the traveler is in that day; on travel days leave room for the journey." : ""}` : ""}
+
+Be specific and practical.${languageInstruction(traveler)} Respond with JSON only, no markdown and no commentary.`;
+}
+
+export function buildRepairPrompt(raw, errors, { dates, legs } = {}) {
+    return `The following output was supposed to be a JSON travel plan but it is invalid.
+
+Problems:
+${errors.map(e => `- ${e}`).join("\n")}
+
+Output:
+${String(raw || "").slice(0, 8000)}
+
+Rewrite it as a single JSON object that matches this schema exactly:
+
+${planSchema({ itinerary: !!dates, multiCity: legs?.length > 1 })}
+
+Respond with JSON only, no markdown and no commentary.`;
+}
+
+export function buildDayPrompt({ destination, date, attractions, otherDays, weatherDay, traveler }) {
+    const travelerText = formatTravelerForPrompt(traveler);
+    const planned = (otherDays || [])
+        .flatMap(d => DAY_SLOTS.flatMap(slot => d.slots?.[slot] || []))
+        .map(a => a.name);
+    const weatherLine = weatherDay
+        ? `Expected weather that day: ${Math.round(weatherDay.min_c ?? 0)}-${Math.round(weatherDay.max_c ?? 0)}°C, rain chance ${weatherDay.precip_prob_max ?? "unknown"}%.`
+        : "";
+
+    return `I'm visiting ${destination} and need a fresh plan for ${date}.
+${weatherLine}
+Must-visit attractions for the trip: ${(attractions || []).map(a => a.name).join(", ") || "none listed"}.
+Already planned on other days (do not repeat these): ${planned.join(", ") || "nothing"}.
+${travelerText ? `${travelerText}\n` : ""}
+Respond with a single JSON object that matches this schema exactly:
+
+${SLOT_SCHEMA}
+where ${ACTIVITY_SCHEMA}
+
+Fill each slot with 1-2 activities.${languageInstruction(traveler)} Respond with JSON only, no markdown and no commentary.`;
+}
+
+// ============================================================================
+// PARSING & VALIDATION
+// ============================================================================
+
+// Pull the first JSON object out of a model response, tolerating code fences
+// and chatter before or after it.
+export function extractJson(text) {
+    const s = String(text || "").replace(/```(?:json)?/gi, "");
+    const start = s.indexOf("{");
+    const end = s.lastIndexOf("}");
+    if (start === -1 || end <= start) return null;
+    try {
+        return JSON.parse(s.slice(start, end + 1));
+    } catch {
+        return null;
+    }
+}
+
+function str(v) {
+    return typeof v === "string" ? v.trim() : "";
+}
+
+function pickEnum(value, allowed, fallback) {
+    const v = str(value).toLowerCase();
+    return allowed.find(a => v === a || v.startsWith(a)) || fallback;
+}
+
+function stringList(v) {
+    if (typeof v === "string") v = v.split(/\n|;/);
+    if (!Array.isArray(v)) return [];
+    return v
+        .map(x => (typeof x === "string" ? x : str(x?.name) || str(x?.item) || str(x?.tip)))
+        .map(x => x.replace(/^[-•*]\s*/, "").trim())
+        .filter(Boolean);
+}
+
+// Models sometimes return { clothing: [...], documents: [...] } instead of
+// [{ category, items }]; accept both shapes.
+function groupList(v, keyName, listName, allowed, fallback) {
+    let groups = [];
+    if (Array.isArray(v)) {
+        groups = v.map(g => ({ key: g?.[keyName] ?? g?.category ?? g?.type, list: g?.[listName] ?? g?.items ?? g?.tips }));
+    } else if (v && typeof v === "object") {
+        groups = Object.entries(v).map(([key, list]) => ({ key, list }));
+    }
+
+    const merged = new Map();
+    for (const g of groups) {
+        const key = pickEnum(g.key, allowed, fallback);
+        const items = stringList(g.list);
+        if (!items.length) continue;
+        merged.set(key, (merged.get(key) || []).concat(items));
+    }
+    return allowed
+        .filter(key => merged.has(key))
+        .map(key => ({ [keyName]: key, [listName]: merged.get(key) }));
+}
+
+function activityList(v) {
+    if (!v) return [];
+    if (!Array.isArray(v)) v = [v];
+    return v
+        .map(a => (typeof a === "string" ? { name: a } : a))
+        .map(a => ({
+            id: typeof a?.id === "string" && a.id ? a.id : crypto.randomUUID(),
+            name: str(a?.name) || str(a?.title) || str(a?.activity),
+            description: str(a?.description),
+        }))
+        .filter(a => a.name);
+}
+
+export function normalizeDaySlots(v) {
+    const source = v?.slots || v || {};
+    return Object.fromEntries(DAY_SLOTS.map(slot => [slot, activityList(source[slot])]));
+}
+
+// One entry per trip date, in order; days the model skipped stay empty so
+// the user can fill or regenerate them.
+export function normalizeItinerary(v, dates) {
+    const list = Array.isArray(v) ? v : Array.isArray(v?.days) ? v.days : [];
+    const byDate = new Map();
+    list.forEach((d, i) => {
+        const date = ISO_DATE.test(str(d?.date)) ? str(d.date) : dates[i];
+        if (date && !byDate.has(date)) byDate.set(date, d);
+    });
+    const days = dates.map(date => ({ date, slots: normalizeDaySlots(byDate.get(date)) }));
+    return { days };
+}
+
+export function parseDay(text) {
+    const data = extractJson(text);
+    if (!data) return { slots: null, errors: ["Response does not contain a valid JSON object"] };
+    const slots = normalizeDaySlots(data);
+    if (!DAY_SLOTS.some(slot => slots[slot].length)) {
+        return { slots: null, errors: [`Expected at least one activity in ${DAY_SLOTS.join("/")}`] };
+    }
+    return { slots, errors: [] };
+}
+
+// One entry per move between consecutive legs; missing from/to/date are
+// filled in from the legs.
+function transitList(v, legs) {
+    const list = Array.isArray(v) ? v : [];
+    return list.slice(0, legs.length - 1).map((t, i) => ({
+        from: str(t?.from) || legs[i].destination,
+        to: str(t?.to) || legs[i + 1].destination,
+        date: ISO_DATE.test(str(t?.date)) ? str(t.date) : legs[i + 1].startDate,
+        mode: pickEnum(t?.mode, TRANSIT_MODES, "other"),
+        duration: str(t?.duration),
+        tips: stringList(t?.tips),
+    }));
+}
+
+export function normalizePlan(data, { dates, legs } = {}) {
+    const multiCity = legs?.length > 1;
+    const errors = [];
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return { plan: null, errors: ["Response is not a JSON object"] };
+    }
+
+    const attractions = (Array.isArray(data.attractions) ? data.attractions : [])
+        .map(a => ({
+            name: str(a?.name),
+            description: str(a?.description),
+            category: pickEnum(a?.category, ATTRACTION_CATEGORIES, "other"),
+            ...(multiCity && { city: str(a?.city) }),
+        }))
+        .filter(a => a.name);
+
+    const packing = groupList(data.packing, "category", "items", PACKING_CATEGORIES, "others");
+    const precautions = groupList(data.precautions, "type", "tips", PRECAUTION_TYPES, "safety");
+
+    if (!attractions.length) errors.push(`"attractions" must be a non-empty array of { name, description, category }`);
+    if (!packing.length) errors.push(`"packing" must be a non-empty array of { category, items }`);
+    if (!precautions.length) errors.push(`"precautions" must be a non-empty array of { type, tips }`);
+
+    const plan = { attractions, packing, precautions };
+    if (multiCity) {
+        plan.transit = transitList(data.transit, legs);
+        if (plan.transit.length < legs.length - 1) {
+            errors.push(`"transit" must have ${legs.length - 1} entries of { from, to, date, mode, duration, tips }, one per move between cities`);
+        }
+    }
+    if (dates) {
+        plan.itinerary = normalizeItinerary(data.itinerary, dates);
+        const filled = plan.itinerary.days.filter(d => DAY_SLOTS.some(slot => d.slots[slot].length));
+        if (filled.length < dates.length) {
+            errors.push(`"itinerary" must have one entry per date (${dates.join(", ")}) with morning/afternoon/evening activities`);
+        }
+    }
+
+    return { plan: errors.length ? null : plan, errors };
+}
+
+export function parsePlan(text, options = {}) {
+    const data = extractJson(text);
+    if (!data) return { plan: null, errors: ["Response does not contain a valid JSON object"] };
+    return normalizePlan(data, options);
+}
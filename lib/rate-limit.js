@@ -0,0 +1,163 @@
+// lib/rate-limit.js
+// In-memory request throttling: token-bucket rate limits, progressive lockout
+// after failed password checks and per-key concurrency caps. State is per
+// process and resets on restart.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Retry-After is whole seconds, rounded up so clients never retry early
+export function sendTooMany(res, retryAfterMs, error) {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({ error, retryAfter });
+}
+
+export function formatWait(ms) {
+    const s = Math.max(1, Math.ceil(ms / 1000));
+    if (s < 60) return `${s} ${s === 1 ? "second" : "seconds"}`;
+    const m = Math.ceil(s / 60);
+    return `${m} ${m === 1 ? "minute" : "minutes"}`;
+}
+
+function sweepEvery(map, isDead) {
+    const timer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of map) {
+            if (isDead(entry, now)) map.delete(key);
+        }
+    }, SWEEP_INTERVAL_MS);
+    timer.unref?.();
+}
+
+// ============================================================================
+// RATE LIMIT (token bucket)
+// ============================================================================
+
+// Each key may make `max` requests per `windowMs`, refilled continuously.
+export class RateLimiter {
+    constructor({ windowMs, max }) {
+        this.windowMs = windowMs;
+        this.max = max;
+        this.buckets = new Map();
+        sweepEvery(this.buckets, (b, now) => this.refill(b, now).tokens >= this.max);
+    }
+
+    refill(bucket, now) {
+        const rate = this.max / this.windowMs;
+        bucket.tokens = Math.min(this.max, bucket.tokens + (now - bucket.at) * rate);
+        bucket.at = now;
+        return bucket;
+    }
+
+    // Returns 0 when allowed, otherwise ms until the next token
+    take(key) {
+        const now = Date.now();
+        const bucket = this.refill(this.buckets.get(key) || { tokens: this.max, at: now }, now);
+        this.buckets.set(key, bucket);
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - bucket.tokens) * (this.windowMs / this.max));
+    }
+}
+
+// Express middleware. keys(req) returns the bucket keys to charge (e.g. one
+// per IP and one per account); the request is refused if any is empty.
+export function rateLimit({ windowMs, max, keys, message = "Too many requests" }) {
+    const limiter = new RateLimiter({ windowMs, max });
+    return (req, res, next) => {
+        let wait = 0;
+        for (const key of keys(req).filter(Boolean)) {
+            wait = Math.max(wait, limiter.take(key));
+        }
+        if (wait) return sendTooMany(res, wait, `${message}. Try again in ${formatWait(wait)}.`);
+        next();
+    };
+}
+
+// ============================================================================
+// LOCKOUT (failed password attempts)
+// ============================================================================
+
+// After `freeAttempts` failures a key is locked for baseMs, doubling with
+// every further failure up to maxMs. Failures are forgotten after resetMs
+// without a new one.
+export class Lockout {
+    constructor({ freeAttempts = 5, baseMs = 30 * 1000, maxMs = 15 * 60 * 1000, resetMs = 60 * 60 * 1000 } = {}) {
+        this.freeAttempts = freeAttempts;
+        this.baseMs = baseMs;
+        this.maxMs = maxMs;
+        this.resetMs = resetMs;
+        this.entries = new Map();
+        sweepEvery(this.entries, (e, now) => now - e.lastFailure > this.resetMs && now >= e.lockedUntil);
+    }
+
+    entry(key, now = Date.now()) {
+        const e = this.entries.get(key);
+        if (e && now - e.lastFailure > this.resetMs && now >= e.lockedUntil) {
+            this.entries.delete(key);
+            return null;
+        }
+        return e || null;
+    }
+
+    // ms until the longest lock among keys expires, 0 when none is locked
+    check(keys) {
+        const now = Date.now();
+        return keys.filter(Boolean).reduce((wait, key) => {
+            const e = this.entry(key, now);
+            return Math.max(wait, e ? e.lockedUntil - now : 0);
+        }, 0);
+    }
+
+    // Record a failure on every key; returns the resulting lock length in ms
+    fail(keys) {
+        const now = Date.now();
+        let wait = 0;
+        for (const key of keys.filter(Boolean)) {
+            const e = this.entry(key, now) || { failures: 0, lockedUntil: 0, lastFailure: now };
+            e.failures += 1;
+            e.lastFailure = now;
+            const over = e.failures - this.freeAttempts;
+            if (over >= 0) {
+                e.lockedUntil = now + Math.min(this.maxMs, this.baseMs * 2 ** over);
+                wait = Math.max(wait, e.lockedUntil - now);
+            }
+            this.entries.set(key, e);
+        }
+        return wait;
+    }
+
+    reset(keys) {
+        for (const key of keys.filter(Boolean)) this.entries.delete(key);
+    }
+}
+
+// ============================================================================
+// CONCURRENCY
+// ============================================================================
+
+// At most `max` jobs per key at once. acquire() returns a release function,
+// or null when the key is at its cap. Release is idempotent.
+export class ConcurrencyLimiter {
+    constructor({ max = 1 } = {}) {
+        this.max = max;
+        this.active = new Map();
+    }
+
+    acquire(key) {
+        const count = this.active.get(key) || 0;
+        if (count >= this.max) return null;
+        this.active.set(key, count + 1);
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            const left = (this.active.get(key) || 1) - 1;
+            if (left > 0) this.active.set(key, left);
+            else this.active.delete(key);
+        };
+    }
+}
@@ -0,0 +1,114 @@
+// lib/session-store.js
+// express-session store kept in its own JsonStorage file, so sessions survive
+// restarts. Expired sessions are dropped on read and pruned periodically.
+
+import session from "express-session";
+import { JsonStorage } from "./storage.js";
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+export class FileSessionStore extends session.Store {
+    constructor({ file, pruneIntervalMs = 15 * 60 * 1000, touchAfterMs = 60 * 1000 }) {
+        super();
+        this.storage = new JsonStorage({ file, collections: { sessions: s => s.sid } });
+        this.pruneIntervalMs = pruneIntervalMs;
+        this.touchAfterMs = touchAfterMs;
+        this.pruneTimer = null;
+    }
+
+    async open() {
+        await this.storage.open();
+        await this.prune();
+        if (this.pruneIntervalMs) {
+            this.pruneTimer = setInterval(() => {
+                this.prune().catch(e => console.warn(`Session prune failed: ${e.message}`));
+            }, this.pruneIntervalMs);
+            this.pruneTimer.unref?.();
+        }
+    }
+
+    async close() {
+        clearInterval(this.pruneTimer);
+        await this.storage.close();
+    }
+
+    // ========================================================================
+    // express-session Store interface
+    // ========================================================================
+
+    get(sid, cb) {
+        const record = this.storage.get("sessions", sid);
+        if (!record) return cb(null, null);
+        if (record.expires <= Date.now()) {
+            return this.destroy(sid, err => cb(err, null));
+        }
+        cb(null, record.sess);
+    }
+
+    set(sid, sess, cb) {
+        const record = { sid, sess, expires: expiresAt(sess) };
+        done(this.storage.transaction(tx => { tx.put("sessions", record); }), cb);
+    }
+
+    destroy(sid, cb) {
+        done(this.storage.transaction(tx => { tx.remove("sessions", sid); }), cb);
+    }
+
+    // Called on every request with rolling sessions; only write when the
+    // expiry has moved far enough to matter.
+    touch(sid, sess, cb) {
+        const record = this.storage.get("sessions", sid);
+        const expires = expiresAt(sess);
+        if (!record || expires - record.expires < this.touchAfterMs) return cb?.(null);
+        done(this.storage.transaction(tx => { tx.update("sessions", sid, { expires }); }), cb);
+    }
+
+    all(cb) {
+        const now = Date.now();
+        cb(null, this.storage.list("sessions", s => s.expires > now).map(s => s.sess));
+    }
+
+    length(cb) {
+        const now = Date.now();
+        cb(null, this.storage.list("sessions", s => s.expires > now).length);
+    }
+
+    clear(cb) {
+        done(this.storage.transaction(tx => {
+            for (const s of tx.list("sessions")) tx.remove("sessions", s.sid);
+        }), cb);
+    }
+
+    // ========================================================================
+    // EXTRAS
+    // ========================================================================
+
+    // Sign a user out everywhere, optionally keeping one session (the
+    // caller's own). Resolves to the number of sessions removed.
+    destroyByUser(userId, { except = null } = {}) {
+        return this.storage.transaction(tx => {
+            const doomed = tx.list("sessions", s => s.sess?.userId === userId && s.sid !== except);
+            for (const s of doomed) tx.remove("sessions", s.sid);
+            return doomed.length;
+        });
+    }
+
+    prune() {
+        const now = Date.now();
+        return this.storage.transaction(tx => {
+            const expired = tx.list("sessions", s => s.expires <= now);
+            for (const s of expired) tx.remove("sessions", s.sid);
+            return expired.length;
+        });
+    }
+}
+
+function expiresAt(sess) {
+    const expires = sess?.cookie?.expires;
+    if (expires) return new Date(expires).getTime();
+    return Date.now() + (sess?.cookie?.originalMaxAge || DEFAULT_TTL_MS);
+}
+
+function done(promise, cb) {
+    promise.then(() => cb?.(null), err => cb?.(err));
+}
@@ -0,0 +1,232 @@
+// lib/storage.js
+// Transactional JSON storage: every collection lives in one data file that is
+// replaced atomically (write temp file, fsync, rename) on each commit. Writes
+// are serialized in-process and a lock file keeps a second server process
+// from opening the same store.
+//
+//   storage.get(collection, key)          -> record copy or null
+//   storage.list(collection, predicate)   -> array of record copies
+//   storage.transaction(tx => ...)        -> fn result; changes are written
+//                                            together or not at all
+//
+// Inside a transaction, tx has get/list plus insert, put (upsert), update and
+// remove. Records handed out are copies, so changes only count when they go
+// through one of the write methods. Keep transactions short and free of
+// network calls: they hold up every other write until they finish.
+
+import fs from "fs/promises";
+import { existsSync, unlinkSync } from "fs";
+import path from "path";
+
+const FORMAT_VERSION = 1;
+
+export class StorageError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = "StorageError";
+        this.code = code;
+    }
+}
+
+export class JsonStorage {
+    // collections: { name: keyFn } where keyFn(record) returns the primary key
+    constructor({ file, collections }) {
+        this.file = file;
+        this.lockFile = `${file}.lock`;
+        this.keys = collections;
+        this.data = null;
+        this.queue = Promise.resolve();
+        this.releaseOnExit = () => {
+            try { unlinkSync(this.lockFile); } catch {}
+        };
+    }
+
+    // legacy: { collection: path } of old { collection: [records] } files,
+    // imported once when the store file does not exist yet.
+    async open({ legacy = {} } = {}) {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await this.acquireLock();
+
+        try {
+            if (existsSync(this.file)) {
+                this.data = await this.readFile();
+            } else {
+                this.data = await this.migrate(legacy);
+                await this.writeFile(this.data);
+            }
+        } catch (e) {
+            await this.close();
+            throw e;
+        }
+    }
+
+    async close() {
+        process.off("exit", this.releaseOnExit);
+        await fs.rm(this.lockFile, { force: true });
+    }
+
+    // ========================================================================
+    // READS
+    // ========================================================================
+
+    get(name, key) {
+        const record = this.table(this.data, name)[key];
+        return record ? structuredClone(record) : null;
+    }
+
+    list(name, predicate = () => true) {
+        return Object.values(this.table(this.data, name))
+            .filter(predicate)
+            .map(r => structuredClone(r));
+    }
+
+    // ========================================================================
+    // WRITES
+    // ========================================================================
+
+    // Runs fn against a private copy of the data. If fn returns normally and
+    // changed something, the copy is written to disk and becomes the live
+    // data; if fn throws, nothing is kept.
+    transaction(fn) {
+        const run = this.queue.then(async() => {
+            const draft = structuredClone(this.data);
+            let dirty = false;
+            const table = name => this.table(draft, name);
+            const keyOf = (name, record) => {
+                const key = this.keys[name](record);
+                if (!key) throw new StorageError(`Missing key for ${name} record`, "BAD_KEY");
+                return key;
+            };
+
+            const tx = {
+                get: (name, key) => (table(name)[key] ? structuredClone(table(name)[key]) : null),
+                list: (name, predicate = () => true) =>
+                    Object.values(table(name)).filter(predicate).map(r => structuredClone(r)),
+                insert: (name, record) => {
+                    const key = keyOf(name, record);
+                    if (table(name)[key]) throw new StorageError(`${name} record ${key} already exists`, "EXISTS");
+                    table(name)[key] = structuredClone(record);
+                    dirty = true;
+                    return record;
+                },
+                put: (name, record) => {
+                    table(name)[keyOf(name, record)] = structuredClone(record);
+                    dirty = true;
+                    return record;
+                },
+                update: (name, key, changes) => {
+                    const record = table(name)[key];
+                    if (!record) return null;
+                    Object.assign(record, typeof changes === "function" ? changes(structuredClone(record)) : changes);
+                    dirty = true;
+                    return structuredClone(record);
+                },
+                remove: (name, key) => {
+                    if (!table(name)[key]) return false;
+                    delete table(name)[key];
+                    dirty = true;
+                    return true;
+                },
+            };
+
+            const result = await fn(tx);
+            if (dirty) {
+                await this.writeFile(draft);
+                this.data = draft;
+            }
+            return result === undefined ? result : structuredClone(result);
+        });
+
+        // A failed transaction must not block the ones queued behind it
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // ========================================================================
+    // INTERNALS
+    // ========================================================================
+
+    table(data, name) {
+        if (!this.keys[name]) throw new StorageError(`Unknown collection "${name}"`, "BAD_COLLECTION");
+        return (data.collections[name] ||= {});
+    }
+
+    async readFile() {
+        const raw = await fs.readFile(this.file, "utf-8");
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (e) {
+            throw new StorageError(`Storage file ${this.file} is corrupt: ${e.message}`, "CORRUPT");
+        }
+        if (data?.version !== FORMAT_VERSION || typeof data.collections !== "object") {
+            throw new StorageError(`Storage file ${this.file} has an unsupported format`, "CORRUPT");
+        }
+        return data;
+    }
+
+    async writeFile(data) {
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        const handle = await fs.open(tmp, "w");
+        try {
+            await handle.writeFile(JSON.stringify(data, null, 2), "utf-8");
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tmp, this.file);
+    }
+
+    async migrate(legacy) {
+        const data = { version: FORMAT_VERSION, createdAt: new Date().toISOString(), collections: {} };
+
+        for (const [name, file] of Object.entries(legacy)) {
+            let records;
+            try {
+                const parsed = JSON.parse((await fs.readFile(file, "utf-8")) || "{}");
+                records = Array.isArray(parsed[name]) ? parsed[name] : [];
+            } catch (e) {
+                if (e.code === "ENOENT") continue;
+                throw new StorageError(`Could not migrate ${file}: ${e.message}`, "MIGRATION");
+            }
+
+            const table = this.table(data, name);
+            for (const record of records) {
+                const key = this.keys[name](record);
+                if (key && !table[key]) table[key] = record;
+            }
+            console.log(`Storage: imported ${Object.keys(table).length} ${name} from ${path.basename(file)}`);
+        }
+        return data;
+    }
+
+    // The lock file holds the owner's pid; a lock left behind by a process
+    // that no longer exists is taken over.
+    async acquireLock() {
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                await fs.writeFile(this.lockFile, String(process.pid), { flag: "wx" });
+                process.on("exit", this.releaseOnExit);
+                return;
+            } catch (e) {
+                if (e.code !== "EEXIST") throw e;
+            }
+
+            const pid = Number(await fs.readFile(this.lockFile, "utf-8").catch(() => ""));
+            if (pid && pid !== process.pid && isAlive(pid)) {
+                throw new StorageError(`Storage ${this.file} is in use by process ${pid}`, "LOCKED");
+            }
+            await fs.rm(this.lockFile, { force: true });
+        }
+        throw new StorageError(`Could not lock ${this.file}`, "LOCKED");
+    }
+}
+
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === "EPERM";
+    }
+}
@@ -0,0 +1,108 @@
+// lib/totp.js
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 6 digits, 30 second steps, secrets shared as base32.
+
+import crypto from "crypto";
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+export function base32Encode(buf) {
+    let bits = 0;
+    let value = 0;
+    let out = "";
+    for (const byte of buf) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+    return out;
+}
+
+export function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, "");
+    let bits = 0;
+    let value = 0;
+    const out = [];
+    for (const ch of clean) {
+        const idx = BASE32.indexOf(ch);
+        if (idx === -1) throw new Error("Invalid base32 character");
+        value = (value << 5) | idx;
+        bits += 5;
+        if (bits >= 8) {
+            out.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(out);
+}
+
+export function generateSecret(bytes = 20) {
+    return base32Encode(crypto.randomBytes(bytes));
+}
+
+// RFC 4226 HOTP with dynamic truncation
+export function hotp(secret, counter) {
+    const msg = Buffer.alloc(8);
+    msg.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(msg).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(code).padStart(DIGITS, "0");
+}
+
+export function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// Returns the matching time step, or null. `window` steps either side are
+// accepted for clock drift; steps at or before `afterStep` are rejected so a
+// code can't be replayed.
+export function verifyTotp(secret, code, { window = 1, afterStep = -Infinity, now = Date.now() } = {}) {
+    const given = String(code || "").replace(/\s/g, "");
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(given)) return null;
+
+    const step = currentStep(now);
+    for (let s = step - window; s <= step + window; s++) {
+        if (s <= afterStep) continue;
+        const expected = hotp(secret, s);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return s;
+    }
+    return null;
+}
+
+// otpauth://totp/Issuer:account?secret=...&issuer=... (the Key URI format
+// understood by Google Authenticator, Authy, 1Password, ...)
+export function otpauthUri({ secret, account, issuer }) {
+    // encodeURIComponent rather than URLSearchParams: some apps show a
+    // "+" literally instead of a space.
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = { secret, issuer, algorithm: "SHA1", digits: DIGITS, period: STEP_SECONDS };
+    const query = Object.entries(params)
+        .map(([k, v]) => `${k}=${encodeURIComponent(v)}`)
+        .join("&");
+    return `otpauth://totp/${label}?${query}`;
+}
+
+// ============================================================================
+// RECOVERY CODES
+// ============================================================================
+
+// One-time fallback codes like "k3f9-x2m7"; only their hashes are stored.
+export function generateRecoveryCodes(count = 10) {
+    const alphabet = "abcdefghjkmnpqrstuvwxyz23456789";
+    return Array.from({ length: count }, () => {
+        const chars = Array.from(crypto.randomBytes(8), b => alphabet[b % alphabet.length]).join("");
+        return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+    });
+}
+
+export function hashRecoveryCode(code) {
+    const normalized = String(code || "").toLowerCase().replace(/[\s-]/g, "");
+    return crypto.createHash("sha256").update(normalized).digest("hex");
+}
@@ -0,0 +1,394 @@
+// lib/trip-export.js
+// Saved trips as downloadable documents: Markdown, a printable HTML page
+// (the browser's print dialog turns it into a PDF) and an iCalendar file.
+//
+//   exportTrip(trip, "md" | "html" | "ics", { units }) -> { body, type, filename }
+//
+// Everything is built from the stored plan; nothing here calls the model.
+
+import { buildPackingList } from "./packing.js";
+import { DAY_SLOTS, PACKING_CATEGORIES, legOn } from "./plan.js";
+
+export const EXPORT_FORMATS = {
+    md: { type: "text/markdown; charset=utf-8", ext: "md" },
+    html: { type: "text/html; charset=utf-8", ext: "html" },
+    ics: { type: "text/calendar; charset=utf-8", ext: "ics" },
+};
+
+// Calendar events for an itinerary slot are spread across these local hours
+const SLOT_HOURS = { morning: [9, 12], afternoon: [13, 17], evening: [18, 21] };
+
+const SLOT_LABELS = { morning: "Morning", afternoon: "Afternoon", evening: "Evening" };
+
+const TRANSIT_LABELS = { flight: "Flight", train: "Train", bus: "Bus", car: "Drive", ferry: "Ferry", other: "Travel" };
+
+export function exportTrip(trip, format, { units = "c" } = {}) {
+    const { type, ext } = EXPORT_FORMATS[format];
+    const render = { md: toMarkdown, html: toHtml, ics: toIcs }[format];
+    const slug = String(trip.destination || "trip").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "trip";
+    return { body: render(trip, { units }), type, filename: `${slug}-${trip.startDate}.${ext}` };
+}
+
+// ============================================================================
+// SHARED
+// ============================================================================
+
+function dayLabel(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString("en-US", {
+        timeZone: "UTC",
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+    });
+}
+
+function temperature(c, units) {
+    if (c == null) return "—";
+    return `${Math.round(units === "f" ? c * 9 / 5 + 32 : c)}°`;
+}
+
+function capitalize(s) {
+    return s ? s.charAt(0).toUpperCase() + s.slice(1) : "";
+}
+
+// Multi-city trips name the city next to each day
+function cityOn(trip, date) {
+    if (!(trip.legs?.length > 1)) return "";
+    const leg = legOn(trip, date);
+    return leg?.name || leg?.destination || "";
+}
+
+function weatherRows(trip, units) {
+    return (trip.weather?.days || []).map(d => ({
+        date: dayLabel(d.date) + (d.source === "climate" ? " (normal)" : ""),
+        city: d.location || "",
+        temps: `${temperature(d.min_c, units)} / ${temperature(d.max_c, units)}`,
+        rain: d.precip_prob_max == null ? "—" : `${Math.round(d.precip_prob_max)}%`,
+        uv: d.uv_index_max == null ? "—" : String(Math.round(d.uv_index_max)),
+        aqi: d.us_aqi_max == null ? "—" : String(Math.round(d.us_aqi_max)),
+    }));
+}
+
+const nonEmpty = groups => (Array.isArray(groups) ? groups : []).filter(g => g?.items?.length || g?.tips?.length);
+
+// The checklist as edited by the travelers, grouped like the plan's list
+function packingGroups(trip) {
+    const { items } = trip.packingList || buildPackingList(trip);
+    return PACKING_CATEGORIES
+        .map(category => ({ category, items: items.filter(i => i.category === category) }))
+        .filter(g => g.items.length);
+}
+
+const packingLabel = item => (item.quantity > 1 ? `${item.name} ×${item.quantity}` : item.name);
+
+// ============================================================================
+// MARKDOWN
+// ============================================================================
+
+const md = s => String(s ?? "").replace(/([\\`*_[\]<>#|])/g, "\\$1");
+
+function toMarkdown(trip, { units }) {
+    const out = [`# ${md(trip.destination)}`, "", `**Dates:** ${trip.startDate} → ${trip.endDate}`];
+    const plan = trip.plan;
+
+    if (trip.legs?.length > 1) {
+        out.push("", "## Route", "");
+        trip.legs.forEach((leg, i) => out.push(`${i + 1}. ${md(leg.destination)}: ${leg.startDate} → ${leg.endDate}`));
+    }
+
+    const weather = weatherRows(trip, units);
+    if (weather.length) {
+        const multiCity = weather.some(r => r.city);
+        out.push("", "## Weather Outlook", "");
+        out.push(`| Date |${multiCity ? " City |" : ""} Low / High (°${units.toUpperCase()}) | Rain | UV | AQI |`);
+        out.push(`|---|${multiCity ? "---|" : ""}---|---|---|---|`);
+        for (const r of weather) {
+            out.push(`| ${r.date} |${multiCity ? ` ${md(r.city)} |` : ""} ${r.temps} | ${r.rain} | ${r.uv} | ${r.aqi} |`);
+        }
+    }
+
+    // Trips saved before plans were structured only carry the raw model text
+    if (!plan) {
+        out.push("", "## Travel Information", "", trip.answer || "");
+        return out.join("\n") + "\n";
+    }
+
+    if (plan.attractions?.length) {
+        out.push("", "## Must Visit", "");
+        for (const a of plan.attractions) {
+            const tags = [a.category, a.city].filter(Boolean).map(md).join(", ");
+            out.push(`- **${md(a.name)}**${tags ? ` (${tags})` : ""}${a.description ? ` — ${md(a.description)}` : ""}`);
+        }
+    }
+
+    if (plan.transit?.length) {
+        out.push("", "## Getting Between Cities", "");
+        for (const t of plan.transit) {
+            out.push(`- **${md(t.from)} → ${md(t.to)}** (${dayLabel(t.date)}): ${TRANSIT_LABELS[t.mode] || "Travel"}${t.duration ? `, ${md(t.duration)}` : ""}`);
+            for (const tip of t.tips || []) out.push(`  - ${md(tip)}`);
+        }
+    }
+
+    const packing = packingGroups(trip);
+    if (packing.length) {
+        out.push("", "## Packing List");
+        for (const g of packing) {
+            out.push("", `### ${md(capitalize(g.category))}`, "");
+            for (const item of g.items) out.push(`- [${item.checked ? "x" : " "}] ${md(packingLabel(item))}`);
+        }
+    }
+
+    if (nonEmpty(plan.precautions).length) {
+        out.push("", "## Precautions & Tips");
+        for (const g of nonEmpty(plan.precautions)) {
+            out.push("", `### ${md(capitalize(g.type))}`, "");
+            for (const tip of g.tips) out.push(`- ${md(tip)}`);
+        }
+    }
+
+    if (plan.itinerary?.days?.length) {
+        out.push("", "## Itinerary");
+        plan.itinerary.days.forEach((day, i) => {
+            const city = cityOn(trip, day.date);
+            out.push("", `### Day ${i + 1} · ${dayLabel(day.date)}${city ? ` · ${md(city)}` : ""}`);
+            for (const slot of DAY_SLOTS) {
+                const activities = day.slots?.[slot] || [];
+                if (!activities.length) continue;
+                out.push("", `**${SLOT_LABELS[slot]}**`, "");
+                for (const a of activities) out.push(`- **${md(a.name)}**${a.description ? ` — ${md(a.description)}` : ""}`);
+            }
+        });
+    }
+
+    return out.join("\n") + "\n";
+}
+
+// ============================================================================
+// PRINTABLE HTML
+// ============================================================================
+
+function escapeHtml(s) {
+    return String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+const PRINT_CSS = `
+    body { font-family: system-ui, sans-serif; max-width: 800px; margin: 32px auto; padding: 0 20px; color: #222; line-height: 1.45; }
+    h1 { margin-bottom: 4px; }
+    h2 { border-bottom: 2px solid #667eea; padding-bottom: 4px; margin-top: 28px; }
+    h3 { margin-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #ddd; }
+    .muted { color: #666; }
+    .tag { font-size: 0.8rem; color: #555; background: #f0f2f5; border-radius: 999px; padding: 1px 8px; }
+    .day { break-inside: avoid; }
+    .checklist { list-style: none; padding-left: 8px; }
+    .toolbar { margin-bottom: 16px; }
+    @media print {
+        .toolbar { display: none; }
+        body { margin: 0; max-width: none; }
+        h2 { break-after: avoid; }
+    }`;
+
+function toHtml(trip, { units }) {
+    const e = escapeHtml;
+    const plan = trip.plan;
+    const parts = [];
+
+    if (trip.legs?.length > 1) {
+        const legs = trip.legs.map(l => `<li>${e(l.destination)}: ${e(l.startDate)} → ${e(l.endDate)}</li>`).join("");
+        parts.push(`<h2>Route</h2><ol>${legs}</ol>`);
+    }
+
+    const weather = weatherRows(trip, units);
+    if (weather.length) {
+        const multiCity = weather.some(r => r.city);
+        const rows = weather.map(r => `
+            <tr><td>${e(r.date)}</td>${multiCity ? `<td>${e(r.city)}</td>` : ""}<td>${r.temps}</td><td>${r.rain}</td><td>${r.uv}</td><td>${r.aqi}</td></tr>`);
+        parts.push(`<h2>Weather Outlook</h2>
+        <table>
+            <thead><tr><th>Date</th>${multiCity ? "<th>City</th>" : ""}<th>Low / High (°${units.toUpperCase()})</th><th>Rain</th><th>UV</th><th>AQI</th></tr></thead>
+            <tbody>${rows.join("")}</tbody>
+        </table>`);
+    }
+
+    if (!plan) {
+        parts.push(`<h2>Travel Information</h2><div style="white-space: pre-wrap;">${e(trip.answer || "")}</div>`);
+    } else {
+        if (plan.attractions?.length) {
+            const items = plan.attractions.map(a => `
+                <li><strong>${e(a.name)}</strong>
+                ${[a.category, a.city].filter(Boolean).map(t => `<span class="tag">${e(t)}</span>`).join(" ")}
+                ${a.description ? `<div>${e(a.description)}</div>` : ""}</li>`);
+            parts.push(`<h2>Must Visit</h2><ul>${items.join("")}</ul>`);
+        }
+
+        if (plan.transit?.length) {
+            const items = plan.transit.map(t => `
+                <li><strong>${e(t.from)} → ${e(t.to)}</strong> <span class="tag">${e(dayLabel(t.date))}</span>
+                <div>${e(TRANSIT_LABELS[t.mode] || "Travel")}${t.duration ? `, ${e(t.duration)}` : ""}</div>
+                ${t.tips?.length ? `<ul>${t.tips.map(tip => `<li>${e(tip)}</li>`).join("")}</ul>` : ""}</li>`);
+            parts.push(`<h2>Getting Between Cities</h2><ul>${items.join("")}</ul>`);
+        }
+
+        const packing = packingGroups(trip);
+        if (packing.length) {
+            const sections = packing.map(g => `
+                <h3>${e(capitalize(g.category))}</h3>
+                <ul class="checklist">${g.items.map(item => `<li>${item.checked ? "☑" : "☐"} ${e(packingLabel(item))}</li>`).join("")}</ul>`);
+            parts.push(`<h2>Packing List</h2>${sections.join("")}`);
+        }
+
+        if (nonEmpty(plan.precautions).length) {
+            const sections = nonEmpty(plan.precautions).map(g => `
+                <h3>${e(capitalize(g.type))}</h3>
+                <ul>${g.tips.map(tip => `<li>${e(tip)}</li>`).join("")}</ul>`);
+            parts.push(`<h2>Precautions &amp; Tips</h2>${sections.join("")}`);
+        }
+
+        if (plan.itinerary?.days?.length) {
+            const days = plan.itinerary.days.map((day, i) => {
+                const city = cityOn(trip, day.date);
+                const slots = DAY_SLOTS.filter(slot => day.slots?.[slot]?.length).map(slot => `
+                    <p><strong>${SLOT_LABELS[slot]}</strong></p>
+                    <ul>${day.slots[slot].map(a => `<li><strong>${e(a.name)}</strong>${a.description ? ` — ${e(a.description)}` : ""}</li>`).join("")}</ul>`);
+                return `<div class="day"><h3>Day ${i + 1} · ${e(dayLabel(day.date))}${city ? ` · ${e(city)}` : ""}</h3>${slots.join("")}</div>`;
+            });
+            parts.push(`<h2>Itinerary</h2>${days.join("")}`);
+        }
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8" />
+    <title>${e(trip.name || trip.destination)}</title>
+    <style>${PRINT_CSS}
+    </style>
+</head>
+<body>
+    <div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+    <h1>📍 ${e(trip.destination)}</h1>
+    <div class="muted">📅 ${e(trip.startDate)} → ${e(trip.endDate)}</div>
+    ${parts.join("\n    ")}
+</body>
+</html>
+`;
+}
+
+// ============================================================================
+// ICALENDAR
+// ============================================================================
+
+// TEXT values escape backslashes, separators and newlines (RFC 5545 3.3.11)
+const icsText = s => String(s ?? "").replace(/[\\;,]/g, c => `\\${c}`).replace(/\r?\n/g, "\\n");
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+function fold(line) {
+    const bytes = Buffer.from(line, "utf-8");
+    if (bytes.length <= 75) return line;
+    const chunks = [];
+    let current = "";
+    for (const ch of line) {
+        const limit = chunks.length ? 74 : 75;
+        if (Buffer.byteLength(current + ch, "utf-8") > limit) {
+            chunks.push(current);
+            current = "";
+        }
+        current += ch;
+    }
+    chunks.push(current);
+    return chunks.join("\r\n ");
+}
+
+const icsDate = date => date.replace(/-/g, "");
+const icsUtc = d => d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+function nextDay(date) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + 1);
+    return d.toISOString().slice(0, 10);
+}
+
+// How far `timeZone` is ahead of UTC at the instant `utcMs`
+function zoneOffsetMs(timeZone, utcMs) {
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+    }).formatToParts(new Date(utcMs));
+    const get = type => Number(parts.find(p => p.type === type).value);
+    return Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second")) - utcMs;
+}
+
+// A wall-clock time at the destination as a UTC DATE-TIME. Without a known
+// zone the time is left floating, which calendars show as written.
+function icsLocalTime(date, minutes, timeZone) {
+    const local = Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000;
+    if (timeZone) {
+        try {
+            // Second pass settles times next to a DST change
+            const guess = local - zoneOffsetMs(timeZone, local);
+            return icsUtc(new Date(local - zoneOffsetMs(timeZone, guess)));
+        } catch {
+            // unknown zone name: fall through to floating time
+        }
+    }
+    return icsUtc(new Date(local)).replace(/Z$/, "");
+}
+
+function toIcs(trip) {
+    const stamp = icsUtc(new Date());
+    const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Travel Explorer//Trip Export//EN", "CALSCALE:GREGORIAN", "METHOD:PUBLISH"];
+    lines.push(`X-WR-CALNAME:${icsText(trip.name || trip.destination)}`);
+
+    const event = (uid, fields) => {
+        lines.push("BEGIN:VEVENT", `UID:${uid}@travel-explorer`, `DTSTAMP:${stamp}`, ...fields, "END:VEVENT");
+    };
+
+    // The stay in each city as an all-day event (DTEND is exclusive)
+    const stays = trip.legs?.length ? trip.legs : [{ destination: trip.destination, startDate: trip.startDate, endDate: trip.endDate }];
+    stays.forEach((leg, i) => event(`${trip.id}-stay-${i}`, [
+        `DTSTART;VALUE=DATE:${icsDate(leg.startDate)}`,
+        `DTEND;VALUE=DATE:${icsDate(nextDay(leg.endDate))}`,
+        `SUMMARY:${icsText(`Trip: ${leg.destination}`)}`,
+        `LOCATION:${icsText(leg.destination)}`,
+        "TRANSP:TRANSPARENT",
+    ]));
+
+    (trip.plan?.transit || []).forEach((t, i) => event(`${trip.id}-transit-${i}`, [
+        `DTSTART;VALUE=DATE:${icsDate(t.date)}`,
+        `DTEND;VALUE=DATE:${icsDate(nextDay(t.date))}`,
+        `SUMMARY:${icsText(`${TRANSIT_LABELS[t.mode] || "Travel"}: ${t.from} → ${t.to}`)}`,
+        `DESCRIPTION:${icsText([t.duration, ...(t.tips || [])].filter(Boolean).join("\n"))}`,
+        "TRANSP:TRANSPARENT",
+    ]));
+
+    // Activities share their slot's hours evenly, in the local time of the
+    // city the trip is in that day
+    for (const day of trip.plan?.itinerary?.days || []) {
+        const leg = legOn(trip, day.date);
+        const timeZone = leg?.timezone || trip.weather?.timezone || null;
+        const location = leg?.destination || trip.destination;
+
+        for (const slot of DAY_SLOTS) {
+            const activities = day.slots?.[slot] || [];
+            const [from, to] = SLOT_HOURS[slot];
+            const length = ((to - from) * 60) / (activities.length || 1);
+            activities.forEach((a, i) => event(a.id || `${trip.id}-${day.date}-${slot}-${i}`, [
+                `DTSTART:${icsLocalTime(day.date, from * 60 + i * length, timeZone)}`,
+                `DTEND:${icsLocalTime(day.date, from * 60 + (i + 1) * length, timeZone)}`,
+                `SUMMARY:${icsText(a.name)}`,
+                ...(a.description ? [`DESCRIPTION:${icsText(a.description)}`] : []),
+                `LOCATION:${icsText(location)}`,
+            ]));
+        }
+    }
+
+    lines.push("END:VCALENDAR");
+    return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -1,30 +1,253 @@
 // public/app.js
 // Merged: Authentication + Full Weather functionality with all features
 
+import { evaluatePassword } from "./password-policy.js";
+
 // ============================================================================
 // API HELPERS
 // ============================================================================
 
+// Errors carry the HTTP status, and for 429 responses the number of
+// seconds to wait before retrying.
+function apiError(res, data) {
+  const err = new Error(data?.error || `Request failed: ${res.status}`);
+  err.status = res.status;
+  if (data?.code) err.code = data.code;
+  if (res.status === 429) {
+    err.retryAfter = Number(res.headers.get("Retry-After")) || data?.retryAfter || null;
+  }
+  return err;
+}
+
+// CSRF token for state-changing requests. The server hands it out from
+// /api/me and sign-in; it is fetched on first use and refreshed once if the
+// server rejects it (e.g. after the session expired).
+let csrfToken = null;
+
+function rememberCsrf(data) {
+  if (data?.csrfToken) csrfToken = data.csrfToken;
+}
+
+async function csrfHeaders(method, refresh = false) {
+  if (method === "GET" || method === "HEAD") return {};
+  if (!csrfToken || refresh) {
+    const res = await fetch("/api/me", { credentials: "include" });
+    rememberCsrf(await res.json().catch(() => ({})));
+  }
+  return csrfToken ? { "X-CSRF-Token": csrfToken } : {};
+}
+
+const isCsrfFailure = (res, data) => res.status === 403 && data?.code === "CSRF";
+
 export async function api(path, method = "GET", body) {
-  const res = await fetch(path, {
+  const send = async refresh => fetch(path, {
     method,
-    headers: { "Content-Type": "application/json" },
+    headers: { "Content-Type": "application/json", ...(await csrfHeaders(method, refresh)) },
     credentials: "include",
     body: body ? JSON.stringify(body) : undefined
   });
-  const data = await res.json().catch(() => ({}));
-  if (!res.ok) {
-    const msg = data?.error || `Request failed: ${res.status}`;
-    throw new Error(msg);
+
+  let res = await send(false);
+  let data = await res.json().catch(() => ({}));
+  if (isCsrfFailure(res, data)) {
+    res = await send(true);
+    data = await res.json().catch(() => ({}));
   }
+  if (!res.ok) throw apiError(res, data);
+  rememberCsrf(data);
   return data;
 }
 
+// Keep a submit button disabled while a 429 lockout runs, counting down
+// on its label.
+export function holdButton(button, seconds) {
+  if (!button || !seconds) return;
+  const label = button.textContent;
+  const until = Date.now() + seconds * 1000;
+  button.disabled = true;
+
+  const tick = () => {
+    const left = Math.ceil((until - Date.now()) / 1000);
+    if (left <= 0) {
+      button.disabled = false;
+      button.textContent = label;
+      return;
+    }
+    button.textContent = `${label} (${left}s)`;
+    setTimeout(tick, 1000);
+  };
+  tick();
+}
+
+// POST a JSON body and read a newline-delimited JSON response, calling
+// onEvent for each line as it arrives.
+export async function streamApi(path, body, { signal, onEvent } = {}) {
+  const send = async refresh => fetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(await csrfHeaders("POST", refresh)) },
+    credentials: "include",
+    body: JSON.stringify(body),
+    signal
+  });
+
+  let res = await send(false);
+  if (!res.ok) {
+    let data = await res.json().catch(() => ({}));
+    if (isCsrfFailure(res, data)) {
+      res = await send(true);
+      if (!res.ok) data = await res.json().catch(() => ({}));
+    }
+    if (!res.ok) throw apiError(res, data);
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let nl;
+    while ((nl = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      if (line) onEvent?.(JSON.parse(line));
+    }
+  }
+  if (buffer.trim()) onEvent?.(JSON.parse(buffer));
+}
+
+// Best-effort parse of a JSON document that is still being written: close
+// any open string/array/object and, if that is not valid yet, back off to
+// the last point where a value was complete.
+export function parsePartialJson(text) {
+  const s = String(text || "");
+  const start = s.indexOf("{");
+  if (start === -1) return null;
+
+  const stack = [];
+  const cuts = [];
+  let inString = false;
+  let escaped = false;
+  let stringIsKey = false;
+
+  const closers = () => stack.slice().reverse().join("");
+
+  for (let i = start; i < s.length; i++) {
+    const ch = s[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') {
+        inString = false;
+        if (!stringIsKey) cuts.push({ at: i + 1, close: closers() });
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+      const prev = s.slice(start, i).trimEnd().slice(-1);
+      stringIsKey = stack[stack.length - 1] === "}" && (prev === "{" || prev === ",");
+    } else if (ch === "{" || ch === "[") {
+      stack.push(ch === "{" ? "}" : "]");
+      cuts.push({ at: i + 1, close: closers() });
+    } else if (ch === "}" || ch === "]") {
+      stack.pop();
+      if (!stack.length) return tryJson(s.slice(start, i + 1));
+      cuts.push({ at: i + 1, close: closers() });
+    }
+  }
+
+  if (inString && !stringIsKey) {
+    const whole = tryJson(s.slice(start).replace(/\\$/, "") + '"' + closers());
+    if (whole) return whole;
+  }
+
+  for (let k = cuts.length - 1; k >= 0 && k >= cuts.length - 8; k--) {
+    const body = s.slice(start, cuts[k].at).replace(/,\s*$/, "");
+    const parsed = tryJson(body + cuts[k].close);
+    if (parsed) return parsed;
+  }
+  return null;
+}
+
+function tryJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 export function setStatus(el, msg, isError = false) {
   el.textContent = msg;
   el.style.color = isError ? "#b00020" : "#0a7a0a";
 }
 
+// ============================================================================
+// PASSWORD STRENGTH METER
+// ============================================================================
+
+const METER_COLORS = ["#dc3545", "#fd7e14", "#ffc107", "#28a745", "#198754"];
+let policyRequest = null;
+
+// The server's policy (config.json), fetched once per page
+function loadPasswordPolicy() {
+  policyRequest ||= api("/api/password-policy").then(d => d.policy).catch(() => undefined);
+  return policyRequest;
+}
+
+// Live strength meter for a password input, checked with the same rules the
+// server enforces. getUserId returns the account the password is for.
+// The meter goes right after `after` (default: the input itself).
+export function attachPasswordMeter(input, { getUserId = () => "", after = input } = {}) {
+  const meter = document.createElement("div");
+  meter.style.cssText = "margin: 4px 0 8px; font-size: 0.85rem;";
+  meter.innerHTML = `
+    <div style="height: 6px; background: #e9ecef; border-radius: 3px; overflow: hidden;">
+      <div class="meter-fill" style="height: 100%; width: 0; transition: width .2s;"></div>
+    </div>
+    <div class="meter-label" style="margin-top: 2px;"></div>
+    <ul class="meter-errors" style="margin: 2px 0 0; padding-left: 18px; color: #b00020;"></ul>
+  `;
+  after.insertAdjacentElement("afterend", meter);
+
+  const fill = meter.querySelector(".meter-fill");
+  const label = meter.querySelector(".meter-label");
+  const errors = meter.querySelector(".meter-errors");
+
+  const update = async () => {
+    const policy = await loadPasswordPolicy();
+    const value = input.value;
+    if (!value) {
+      fill.style.width = "0";
+      label.textContent = "";
+      errors.innerHTML = "";
+      return;
+    }
+    const result = evaluatePassword(value, { userId: getUserId(), policy });
+    fill.style.width = `${(result.score + 1) * 20}%`;
+    fill.style.background = METER_COLORS[result.score];
+    label.textContent = `Strength: ${result.label}`;
+    errors.innerHTML = result.errors.map(e => `<li>${escapeHtml(e)}</li>`).join("");
+  };
+
+  input.addEventListener("input", update);
+  return { update };
+}
+
 // ============================================================================
 // AUTHENTICATION
 // ============================================================================
@@ -118,6 +341,53 @@ export const toDateLabel = iso => {
 
 export const fmt = v => (v == null || Number.isNaN(v) ? "—" : String(v));
 
+// WMO weather interpretation codes used by Open-Meteo's weather_code
+const WMO_CODES = {
+  0: { label: "Clear sky", day: "☀️", night: "🌙" },
+  1: { label: "Mainly clear", day: "🌤️", night: "🌙" },
+  2: { label: "Partly cloudy", day: "⛅", night: "☁️🌙" },
+  3: { label: "Overcast", day: "☁️", night: "☁️" },
+  45: { label: "Fog", day: "🌫️", night: "🌫️" },
+  48: { label: "Rime fog", day: "🌫️", night: "🌫️" },
+  51: { label: "Light drizzle", day: "🌦️", night: "🌧️" },
+  53: { label: "Drizzle", day: "🌦️", night: "🌧️" },
+  55: { label: "Dense drizzle", day: "🌧️", night: "🌧️" },
+  56: { label: "Freezing drizzle", day: "🌧️", night: "🌧️" },
+  57: { label: "Dense freezing drizzle", day: "🌧️", night: "🌧️" },
+  61: { label: "Light rain", day: "🌦️", night: "🌧️" },
+  63: { label: "Rain", day: "🌧️", night: "🌧️" },
+  65: { label: "Heavy rain", day: "🌧️", night: "🌧️" },
+  66: { label: "Freezing rain", day: "🌧️", night: "🌧️" },
+  67: { label: "Heavy freezing rain", day: "🌧️", night: "🌧️" },
+  71: { label: "Light snow", day: "🌨️", night: "🌨️" },
+  73: { label: "Snow", day: "🌨️", night: "🌨️" },
+  75: { label: "Heavy snow", day: "❄️", night: "❄️" },
+  77: { label: "Snow grains", day: "🌨️", night: "🌨️" },
+  80: { label: "Light showers", day: "🌦️", night: "🌧️" },
+  81: { label: "Showers", day: "🌧️", night: "🌧️" },
+  82: { label: "Violent showers", day: "⛈️", night: "⛈️" },
+  85: { label: "Snow showers", day: "🌨️", night: "🌨️" },
+  86: { label: "Heavy snow showers", day: "❄️", night: "❄️" },
+  95: { label: "Thunderstorm", day: "⛈️", night: "⛈️" },
+  96: { label: "Thunderstorm with hail", day: "⛈️", night: "⛈️" },
+  99: { label: "Severe thunderstorm with hail", day: "⛈️", night: "⛈️" },
+};
+
+export function weatherCodeInfo(code, isDay = true) {
+  const info = WMO_CODES[code];
+  if (!info) return { label: "—", icon: "-" };
+  return { label: info.label, icon: isDay ? info.day : info.night };
+}
+
+export function windDirLabel(deg) {
+  if (deg == null) return "";
+  const dirs = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+  return dirs[Math.round(((deg % 360) + 360) % 360 / 45) % 8];
+}
+
+export const formatWind = (kmh, deg) =>
+  kmh == null ? "—" : `${Math.round(kmh)} km/h${deg != null ? " " + windDirLabel(deg) : ""}`;
+
 export const formatDistance = m => {
   if (m == null) return "—";
   if (m >= 1000) return `${(m / 1000).toFixed(m >= 10000 ? 0 : 1)} km`;
@@ -131,12 +401,24 @@ export function getHourFromIso(iso) {
   return Number.isFinite(h) ? h : null;
 }
 
-export function formatHourLabel(iso) {
+export function formatHourLabel(iso, timeFormat = "24h") {
   const h = getHourFromIso(iso);
   if (h == null) return "—";
+  if (timeFormat === "12h") return `${h % 12 || 12} ${h < 12 ? "AM" : "PM"}`;
   return String(h).padStart(2, "0");
 }
 
+// Wall-clock time of a local ISO timestamp ("2024-06-01T05:42"), read from
+// the string so it stays in the location's timezone, not the browser's.
+export function formatClockTime(iso, timeFormat = "24h") {
+  const minutes = getMinutesOfDayFromIso(iso);
+  if (minutes == null) return "—";
+  const h = Math.floor(minutes / 60);
+  const m = String(minutes % 60).padStart(2, "0");
+  if (timeFormat === "12h") return `${h % 12 || 12}:${m} ${h < 12 ? "AM" : "PM"}`;
+  return `${String(h).padStart(2, "0")}:${m}`;
+}
+
 export function getMinutesOfDayFromIso(iso) {
   if (!iso) return null;
   const s = String(iso);
@@ -177,15 +459,18 @@ export function currentLocalHourKey(timezone) {
 export function normalizeWeather(apiData) {
   console.log("Raw API response:", apiData);
   
-  // Server returns: { location, latitude, longitude, timezone, current, hourly24, daily7 }
+  // Server returns: { location, latitude, longitude, timezone, range, current, hourly, daily }
+  // current is null for past or explicit date ranges.
   return {
     location: apiData.location || "Unknown",
     latitude: apiData.latitude,
     longitude: apiData.longitude,
     timezone: apiData.timezone || "UTC",
     generated_at: apiData.generated_at,
-    current: apiData.current || {},
-    hourly24: apiData.hourly24 || [],
-    daily7: apiData.daily7 || []
+    stale: !!apiData.stale,
+    range: apiData.range || null,
+    current: apiData.current || null,
+    hourly: apiData.hourly || [],
+    daily: apiData.daily || []
   };
 }
\ No newline at end of file
@@ -0,0 +1,30 @@
+// public/common-passwords.js
+// Passwords that top every breach compilation. Lowercase; matched after
+// lowercasing the candidate and again with trailing digits/symbols removed.
+
+export const COMMON_PASSWORDS = new Set([
+  "123456", "123456789", "12345678", "1234567", "12345", "1234567890", "123123",
+  "111111", "000000", "654321", "666666", "121212", "112233", "123321", "7777777",
+  "987654321", "1q2w3e4r", "1q2w3e4r5t", "1qaz2wsx", "zaq12wsx", "qwerty",
+  "qwerty123", "qwertyuiop", "asdfgh", "asdfghjkl", "zxcvbnm", "qazwsx", "azerty",
+  "password", "password1", "passw0rd", "p@ssw0rd", "p@ssword", "pass", "pass123",
+  "letmein", "welcome", "welcome1", "admin", "admin123", "administrator", "root",
+  "login", "access", "secret", "changeme", "default", "guest", "test", "test123",
+  "master", "hello", "hello123", "iloveyou", "loveme", "love", "lovely", "trustno1",
+  "monkey", "dragon", "shadow", "sunshine", "princess", "football", "baseball",
+  "soccer", "hockey", "basketball", "superman", "batman", "starwars", "pokemon",
+  "michael", "jennifer", "jordan", "hunter", "ranger", "buster", "thomas", "robert",
+  "daniel", "andrew", "joshua", "jessica", "ashley", "charlie", "george", "maggie",
+  "pepper", "ginger", "tigger", "cookie", "cheese", "banana", "orange", "summer",
+  "winter", "spring", "autumn", "flower", "freedom", "whatever", "nothing",
+  "computer", "internet", "samsung", "google", "apple", "mustang", "ferrari",
+  "corvette", "harley", "yankees", "liverpool", "chelsea", "arsenal", "killer",
+  "matrix", "ninja", "mercedes", "biteme", "fuckyou", "asshole", "666", "abc123",
+  "abcdef", "abcd1234", "a1b2c3", "aa123456", "qwe123", "zxc123", "q1w2e3r4",
+  "1password", "mypassword", "newpassword", "yourpassword", "letmein1", "secret1",
+  "travel", "travel123", "vacation", "holiday", "explorer", "weather",
+  "blink182", "metallica", "nirvana", "slipknot", "eminem", "naruto", "pikachu",
+  "minecraft", "fortnite", "roblox", "zelda", "gandalf", "hogwarts", "chocolate",
+  "butterfly", "purple", "diamond", "silver", "golden", "angel", "friends",
+  "family", "forever", "qwer1234", "asdf1234", "zaq1zaq1", "!qaz2wsx", "1234qwer",
+]);
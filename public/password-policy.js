@@ -0,0 +1,68 @@
+// public/password-policy.js
+// Password rules shared by the server (enforcement) and the browser (live
+// strength meter), so both always agree. No Node or DOM APIs in here.
+
+import { COMMON_PASSWORDS } from "./common-passwords.js";
+
+export const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  maxLength: 128,
+  // How many of lowercase, uppercase, digits and symbols must appear.
+  // Long passphrases (>= passphraseLength) are exempt.
+  minClasses: 2,
+  passphraseLength: 16,
+  rejectUserId: true,
+  rejectCommon: true,
+};
+
+const STRENGTH_LABELS = ["Very weak", "Weak", "Fair", "Strong", "Very strong"];
+
+function characterClasses(password) {
+  return [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(re => re.test(password)).length;
+}
+
+function isCommon(password) {
+  const lower = password.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower)) return true;
+  // "Password123!" is still "password"
+  const base = lower.replace(/[\d\W_]+$/, "");
+  return base.length >= 4 && COMMON_PASSWORDS.has(base);
+}
+
+// Returns { ok, errors, score (0-4), label }. errors lists every rule the
+// password breaks, in the order the form should show them.
+export function evaluatePassword(password, { userId = "", policy = DEFAULT_PASSWORD_POLICY } = {}) {
+  const p = { ...DEFAULT_PASSWORD_POLICY, ...policy };
+  const pw = String(password || "");
+  const classes = characterClasses(pw);
+  const errors = [];
+
+  if (pw.length < p.minLength) errors.push(`Use at least ${p.minLength} characters`);
+  if (pw.length > p.maxLength) errors.push(`Use at most ${p.maxLength} characters`);
+  if (classes < p.minClasses && pw.length < p.passphraseLength) {
+    errors.push(
+      `Mix at least ${p.minClasses} of: lowercase, uppercase, digits, symbols ` +
+      `(or use ${p.passphraseLength}+ characters)`
+    );
+  }
+
+  const id = String(userId || "").trim().toLowerCase();
+  if (p.rejectUserId && id && pw.toLowerCase().includes(id) && id.length >= 3) {
+    errors.push("Don't include your account ID");
+  }
+
+  const common = p.rejectCommon && pw && isCommon(pw);
+  if (common) errors.push("This password is too common");
+
+  // Rough strength: length and variety, capped when a rule is broken
+  let score = 0;
+  if (pw.length >= p.minLength) score++;
+  if (pw.length >= 12) score++;
+  if (pw.length >= p.passphraseLength) score++;
+  if (classes >= 3) score++;
+  if (common) score = 0;
+  else if (errors.length) score = Math.min(score, 1);
+  score = Math.min(score, STRENGTH_LABELS.length - 1);
+
+  return { ok: errors.length === 0, errors, score, label: STRENGTH_LABELS[score] };
+}
@@ -0,0 +1,67 @@
+// public/preferences.js
+// Traveler preferences shared by the server (validation, plan prompts) and
+// the browser (settings form, weather display). No Node or DOM APIs in here.
+
+export const PREFERENCE_OPTIONS = {
+  units: { c: "Celsius (°C)", f: "Fahrenheit (°F)" },
+  timeFormat: { "24h": "24-hour (15:00)", "12h": "12-hour (3 PM)" },
+  language: {
+    en: "English", es: "Spanish", fr: "French", de: "German", it: "Italian", pt: "Portuguese",
+    nl: "Dutch", ja: "Japanese", ko: "Korean", zh: "Chinese",
+  },
+  budget: { budget: "Budget", moderate: "Moderate", luxury: "Luxury" },
+  travelStyle: {
+    relaxed: "Relaxed - few activities, plenty of downtime",
+    balanced: "Balanced",
+    packed: "Packed - see as much as possible",
+    adventurous: "Adventurous - outdoors and off the beaten path",
+    cultural: "Cultural - museums, history and local life",
+  },
+  dietary: {
+    vegetarian: "Vegetarian", vegan: "Vegan", halal: "Halal", kosher: "Kosher",
+    "gluten-free": "Gluten-free", "dairy-free": "Dairy-free", "nut-allergy": "Nut allergy",
+  },
+};
+
+export const DEFAULT_PREFERENCES = {
+  units: "c",
+  timeFormat: "24h",
+  language: "en",
+  homeCity: "",
+  budget: "moderate",
+  travelStyle: "balanced",
+  dietary: [],
+  mobility: "",
+};
+
+const MAX_TEXT = 200;
+
+// Validates a (possibly partial) update on top of `current`. Returns
+// { preferences, errors }; preferences is null when anything is invalid.
+export function normalizePreferences(input, current = DEFAULT_PREFERENCES) {
+  const prefs = { ...DEFAULT_PREFERENCES, ...current };
+  const errors = [];
+  const given = input && typeof input === "object" ? input : {};
+
+  for (const key of ["units", "timeFormat", "language", "budget", "travelStyle"]) {
+    if (given[key] === undefined) continue;
+    if (Object.hasOwn(PREFERENCE_OPTIONS[key], given[key])) prefs[key] = given[key];
+    else errors.push(`Unknown ${key} "${given[key]}"`);
+  }
+
+  if (given.dietary !== undefined) {
+    const list = Array.isArray(given.dietary) ? given.dietary : [];
+    const unknown = list.filter(d => !Object.hasOwn(PREFERENCE_OPTIONS.dietary, d));
+    if (!Array.isArray(given.dietary) || unknown.length) errors.push(`Unknown dietary needs: ${unknown.join(", ") || given.dietary}`);
+    else prefs.dietary = [...new Set(list)];
+  }
+
+  for (const key of ["homeCity", "mobility"]) {
+    if (given[key] === undefined) continue;
+    const text = String(given[key] ?? "").trim();
+    if (text.length > MAX_TEXT) errors.push(`${key} must be at most ${MAX_TEXT} characters`);
+    else prefs[key] = text;
+  }
+
+  return { preferences: errors.length ? null : prefs, errors };
+}
@@ -0,0 +1,334 @@
+// public/trip-view.js
+// Renders a trip plan. Used by the app (with editing hooks) and by the
+// read-only page behind share links, which has no session.
+
+import { escapeHtml, maybeConvert, unitLabel, toDateLabel } from './app.js';
+
+const ATTRACTION_ICONS = {
+  landmark: '🏛️',
+  museum: '🖼️',
+  nature: '🌳',
+  food: '🍜',
+  shopping: '🛍️',
+  entertainment: '🎭',
+  neighborhood: '🏘️',
+  other: '📍',
+};
+
+// Options:
+//   streaming - partial plan while the model writes; unfinished sections are skipped
+//   units     - 'c' or 'f' for the weather table
+//   header    - (headerEl) => void, to add links or buttons to the header
+//   packing   - (plan) => card element replacing the read-only packing list
+//   timeline  - { onMove, onRegenerate } makes the itinerary editable
+export function renderTripView(container, data, { streaming = false, units = 'c', header: decorateHeader, packing, timeline } = {}) {
+  container.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.style.cssText = 'background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; border-radius: 8px 8px 0 0; margin-bottom: 16px;';
+  header.innerHTML = `
+    <div style="font-size: 1.5rem; font-weight: bold; margin-bottom: 8px;">📍 ${escapeHtml(data.destination)}</div>
+    <div style="font-size: 1rem; opacity: 0.9;">📅 ${escapeHtml(data.startDate)} → ${escapeHtml(data.endDate)}</div>
+  `;
+  decorateHeader?.(header);
+  container.appendChild(header);
+
+  if (data.weather?.days?.length) {
+    container.appendChild(createSectionCard('🌦️ Weather Outlook', formatTripWeather(data.weather, units), '#0ea5e9'));
+  }
+
+  const plan = data.plan;
+
+  // Trips saved before plans were structured only carry the raw model text
+  if (!plan) {
+    const fallbackCard = document.createElement('div');
+    fallbackCard.className = 'section-card';
+    fallbackCard.innerHTML = `
+      <div class="section-title">📋 Travel Information</div>
+      <div class="section-content" style="white-space: pre-wrap;">${escapeHtml(data.answer || '')}</div>
+    `;
+    container.appendChild(fallbackCard);
+    return;
+  }
+
+  // While streaming, sections the model has not reached yet are skipped
+  if (!streaming || plan.attractions) {
+    container.appendChild(createSectionCard('🏛️ Must Visit', formatAttractions(plan.attractions), '#667eea'));
+  }
+  if (plan.transit?.length) {
+    container.appendChild(createSectionCard('🚆 Getting Between Cities', formatTransit(plan.transit), '#8b5cf6'));
+  }
+  if (!streaming && packing) {
+    container.appendChild(packing(plan));
+  } else if (!streaming && data.packingList) {
+    container.appendChild(createSectionCard('🎒 Packing List', formatChecklist(data.packingList.items), '#10b981'));
+  } else if (!streaming || plan.packing) {
+    container.appendChild(createSectionCard('🎒 Packing List', formatGroups(plan.packing, 'category', 'items'), '#10b981'));
+  }
+  if (!streaming || plan.precautions) {
+    container.appendChild(createSectionCard('⚠️ Precautions & Tips', formatGroups(plan.precautions, 'type', 'tips'), '#f59e0b'));
+  }
+  if (plan.itinerary) {
+    container.appendChild(createTimelineCard(data, streaming ? null : timeline));
+  }
+
+  if (streaming) {
+    const writing = document.createElement('div');
+    writing.className = 'empty-state';
+    writing.style.padding = '16px';
+    writing.textContent = '✍️ Writing your plan...';
+    container.appendChild(writing);
+  }
+}
+
+export function createSectionCard(title, html, color) {
+  const card = document.createElement('div');
+  card.className = 'section-card';
+
+  const titleDiv = document.createElement('div');
+  titleDiv.className = 'section-title';
+  titleDiv.style.borderBottomColor = color;
+  titleDiv.textContent = title;
+
+  const contentDiv = document.createElement('div');
+  contentDiv.className = 'section-content';
+  contentDiv.innerHTML = html;
+
+  card.appendChild(titleDiv);
+  card.appendChild(contentDiv);
+  return card;
+}
+
+const WEATHER_SOURCE_LABELS = {
+  forecast: 'Based on the current forecast.',
+  climate: 'Beyond the forecast range — based on climate normals for these dates.',
+  mixed: 'Forecast where available, climate normals for later dates.',
+};
+
+function formatTripWeather(weather, units) {
+  const cell = (v, suffix = '') => (v == null ? '—' : `${Math.round(v)}${suffix}`);
+  const multiCity = weather.days.some(d => d.location);
+  const rows = weather.days.map(d => `
+    <tr>
+      <td>${escapeHtml(toDateLabel(d.date))}${d.source === 'climate' ? ' <span class="tag">normal</span>' : ''}</td>
+      ${multiCity ? `<td>${escapeHtml(d.location || '')}</td>` : ''}
+      <td>${cell(maybeConvert(d.min_c, units), '°')} / ${cell(maybeConvert(d.max_c, units), '°')}</td>
+      <td>${cell(d.precip_prob_max, '%')}</td>
+      <td>${cell(d.uv_index_max)}</td>
+      <td>${cell(d.us_aqi_max)}</td>
+    </tr>
+  `);
+  return `
+    <p style="color: #666; margin-top: 0;">${escapeHtml(weather.location)} · ${escapeHtml(WEATHER_SOURCE_LABELS[weather.source] || '')}</p>
+    <div class="table-wrap">
+      <table>
+        <thead><tr><th>Date</th>${multiCity ? '<th>City</th>' : ''}<th>Low / High (${unitLabel(units)})</th><th>Rain</th><th>UV</th><th>AQI</th></tr></thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+// ============================================================================
+// ITINERARY TIMELINE
+// ============================================================================
+
+export const SLOTS = [
+  { key: 'morning', label: '🌅 Morning' },
+  { key: 'afternoon', label: '☀️ Afternoon' },
+  { key: 'evening', label: '🌙 Evening' },
+];
+
+// Saved itineraries are { days: [{ date, slots }] }; while streaming we still
+// see the model's raw [{ date, morning, afternoon, evening }] shape.
+function itineraryDays(itinerary) {
+  if (Array.isArray(itinerary?.days)) return itinerary.days;
+  if (!Array.isArray(itinerary)) return [];
+  return itinerary.filter(Boolean).map(d => ({ date: d.date, slots: d }));
+}
+
+function slotItems(day, slot) {
+  const items = day?.slots?.[slot];
+  const list = Array.isArray(items) ? items : items ? [items] : [];
+  return list
+    .map(a => (typeof a === 'string' ? { name: a } : a))
+    .filter(a => a?.name);
+}
+
+function createTimelineCard(trip, editor) {
+  const card = createSectionCard('🗓️ Day-by-Day Itinerary', '', '#8b5cf6');
+  const content = card.querySelector('.section-content');
+  renderTimeline(content, trip, editor);
+  return card;
+}
+
+// Multi-city trips label each day with where the traveler is (on travel
+// days, the city they arrive in)
+function cityOn(trip, date) {
+  if (!date || !(trip.legs?.length > 1)) return '';
+  const leg = trip.legs.filter(l => l.startDate <= date).pop();
+  return leg?.name || leg?.destination || '';
+}
+
+// With an editor, activities can be dragged between slots and days can be
+// regenerated: editor.onMove(content, trip, id, date, slot, beforeId) and
+// editor.onRegenerate(content, trip, date, button).
+export function renderTimeline(content, trip, editor) {
+  const days = itineraryDays(trip.plan.itinerary);
+  content.innerHTML = '';
+
+  if (editor) {
+    const hint = document.createElement('p');
+    hint.style.cssText = 'color: #888; margin-top: 0; font-size: 0.9rem;';
+    hint.textContent = 'Drag activities between days and time slots to rearrange your trip.';
+    content.appendChild(hint);
+  }
+
+  const timeline = document.createElement('div');
+  timeline.className = 'timeline';
+
+  days.forEach((day, i) => {
+    const dayEl = document.createElement('div');
+    dayEl.className = 'timeline-day';
+
+    const head = document.createElement('div');
+    head.className = 'timeline-day-header';
+    const title = document.createElement('span');
+    const city = cityOn(trip, day.date);
+    title.textContent = `Day ${i + 1} · ${day.date ? toDateLabel(day.date) : '…'}${city ? ` · ${city}` : ''}`;
+    head.appendChild(title);
+
+    if (editor) {
+      const regen = document.createElement('button');
+      regen.type = 'button';
+      regen.className = 'nav-btn';
+      regen.textContent = '↻ Regenerate day';
+      regen.onclick = () => editor.onRegenerate(content, trip, day.date, regen);
+      head.appendChild(regen);
+    }
+    dayEl.appendChild(head);
+
+    SLOTS.forEach(({ key, label }) => {
+      const slotEl = document.createElement('div');
+      slotEl.className = 'timeline-slot';
+      slotEl.innerHTML = `<div class="slot-label">${label}</div>`;
+
+      const list = document.createElement('div');
+      list.className = 'slot-items';
+      list.dataset.date = day.date || '';
+      list.dataset.slot = key;
+
+      slotItems(day, key).forEach(a => {
+        const item = document.createElement('div');
+        item.className = 'activity';
+        item.dataset.id = a.id || '';
+        item.innerHTML = `<strong>${escapeHtml(a.name)}</strong>${a.description ? `<div>${escapeHtml(a.description)}</div>` : ''}`;
+        if (editor) {
+          item.draggable = true;
+          item.addEventListener('dragstart', e => {
+            e.dataTransfer.setData('text/plain', a.id);
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+          });
+          item.addEventListener('dragend', () => item.classList.remove('dragging'));
+        }
+        list.appendChild(item);
+      });
+
+      if (editor) {
+        list.addEventListener('dragover', e => {
+          e.preventDefault();
+          list.classList.add('drop-target');
+        });
+        list.addEventListener('dragleave', () => list.classList.remove('drop-target'));
+        list.addEventListener('drop', e => {
+          e.preventDefault();
+          list.classList.remove('drop-target');
+          const id = e.dataTransfer.getData('text/plain');
+          const before = e.target.closest('.activity')?.dataset.id || null;
+          editor.onMove(content, trip, id, day.date, key, before);
+        });
+      }
+
+      slotEl.appendChild(list);
+      dayEl.appendChild(slotEl);
+    });
+
+    timeline.appendChild(dayEl);
+  });
+
+  content.appendChild(timeline);
+}
+
+// ============================================================================
+// SECTIONS
+// ============================================================================
+
+export function capitalize(s) {
+  return s ? s.charAt(0).toUpperCase() + s.slice(1) : '';
+}
+
+function formatAttractions(attractions) {
+  const list = Array.isArray(attractions) ? attractions.filter(a => a?.name) : [];
+  if (!list.length) return '<p>No attractions suggested.</p>';
+  const items = list.map(a => `
+    <li>
+      ${ATTRACTION_ICONS[a.category] || ATTRACTION_ICONS.other}
+      <strong>${escapeHtml(a.name)}</strong>
+      ${a.category ? `<span class="tag">${escapeHtml(a.category)}</span>` : ''}
+      ${a.city ? `<span class="tag">📍 ${escapeHtml(a.city)}</span>` : ''}
+      ${a.description ? `<div>${escapeHtml(a.description)}</div>` : ''}
+    </li>
+  `);
+  return `<ul>${items.join('')}</ul>`;
+}
+
+const TRANSIT_ICONS = { flight: '✈️', train: '🚆', bus: '🚌', car: '🚗', ferry: '⛴️', other: '🧭' };
+
+function formatTransit(transit) {
+  const items = transit.filter(t => t?.from || t?.to).map(t => `
+    <li>
+      ${TRANSIT_ICONS[t.mode] || TRANSIT_ICONS.other}
+      <strong>${escapeHtml(t.from || '…')} → ${escapeHtml(t.to || '…')}</strong>
+      ${t.date && typeof t.date === 'string' ? `<span class="tag">${escapeHtml(toDateLabel(t.date))}</span>` : ''}
+      ${t.duration ? `<div>${escapeHtml(t.mode ? capitalize(String(t.mode)) + ', ' : '')}${escapeHtml(t.duration)}</div>` : ''}
+      ${Array.isArray(t.tips) && t.tips.length ? `<ul>${t.tips.filter(x => typeof x === 'string').map(x => `<li>${escapeHtml(x)}</li>`).join('')}</ul>` : ''}
+    </li>
+  `);
+  return items.length ? `<ul>${items.join('')}</ul>` : '<p>Nothing to show.</p>';
+}
+
+export const PACKING_CATEGORIES = ['clothing', 'electronics', 'documents', 'toiletries', 'others'];
+
+// Read-only view of a saved checklist
+function formatChecklist(items) {
+  const groups = PACKING_CATEGORIES
+    .map(category => ({ category, items: items.filter(i => i.category === category) }))
+    .filter(g => g.items.length);
+  if (!groups.length) return '<p>Nothing to show.</p>';
+  return groups
+    .map(g => `
+      <p><strong>${escapeHtml(capitalize(g.category))}</strong></p>
+      <ul style="list-style: none; padding-left: 4px;">${g.items.map(i => `
+        <li>${i.checked ? '☑' : '☐'} ${escapeHtml(i.name)}${i.quantity > 1 ? ` ×${i.quantity}` : ''}
+          ${i.source === 'weather' ? `<span class="tag" title="${escapeHtml(i.reason || '')}">🌦️ weather</span>` : ''}</li>`).join('')}
+      </ul>
+    `)
+    .join('');
+}
+
+// Partial output may still be in the { category: [items] } shape or have
+// groups whose key has not been written yet.
+function formatGroups(groups, keyName, listName) {
+  const list = Array.isArray(groups)
+    ? groups
+    : Object.entries(groups || {}).map(([key, items]) => ({ [keyName]: key, [listName]: items }));
+  const shown = list.filter(g => Array.isArray(g?.[listName]) && g[listName].length);
+  if (!shown.length) return '<p>Nothing to show.</p>';
+  return shown
+    .map(g => `
+      <p><strong>${escapeHtml(capitalize(String(g[keyName] ?? '')))}</strong></p>
+      <ul>${g[listName].filter(x => typeof x === 'string').map(x => `<li>${escapeHtml(x)}</li>`).join('')}</ul>
+    `)
+    .join('');
+}
@@ -2,19 +2,30 @@
 
 import { 
   api,
+  streamApi,
+  parsePartialJson,
+  escapeHtml,
   renderUserBadge,
   callWeatherApi,
   setStatus,
+  holdButton,
+  attachPasswordMeter,
   maybeConvert,
   unitLabel,
   toDateLabel,
   fmt,
   formatHourLabel,
+  formatClockTime,
+  getHourFromIso,
   formatDistance,
+  formatWind,
+  weatherCodeInfo,
   getMinutesOfDayFromIso,
   currentLocalHourKey,
   normalizeWeather
 } from './app.js';
+import { DEFAULT_PREFERENCES, PREFERENCE_OPTIONS } from './preferences.js';
+import { PACKING_CATEGORIES, SLOTS, capitalize, createSectionCard, renderTimeline, renderTripView } from './trip-view.js';
 
 // ============================================================================
 // AUTHENTICATION CHECK
@@ -38,6 +49,27 @@ async function checkAuth() {
 const me = await checkAuth();
 if (!me) throw new Error("Not authenticated");
 
+if (me.role === "admin") document.getElementById('adminLink').style.display = '';
+
+// ============================================================================
+// PREFERENCES
+// ============================================================================
+
+// Saved per account. Units, time format and home city shape the weather
+// display; the server adds the rest to plan prompts itself.
+let preferences = { ...DEFAULT_PREFERENCES };
+try {
+  ({ preferences } = await api("/api/preferences"));
+} catch (e) {
+  console.warn('Preferences unavailable, using defaults:', e.message);
+}
+
+async function savePreferences(changes) {
+  const data = await api("/api/preferences", "PUT", changes);
+  preferences = data.preferences;
+  return data;
+}
+
 // ============================================================================
 // TAB SWITCHING
 // ============================================================================
@@ -54,6 +86,8 @@ tabs.forEach(tab => {
     
     tabContents.forEach(content => content.classList.remove('active'));
     document.getElementById(`${targetTab}-content`).classList.add('active');
+
+    if (targetTab === 'account') loadActivity();
   });
 });
 
@@ -70,132 +104,578 @@ document.getElementById('signoutBtn').onclick = async () => {
 // TRIP PLANNING
 // ============================================================================
 
+let planController = null;
+
+const MAX_LEGS = 6;
+const legsEl = document.getElementById('legs');
+const addLegBtn = document.getElementById('addLeg');
+
+// One row per city. A new city starts where the previous one ends.
+function addLegRow({ destination = '', startDate = '', endDate = '' } = {}) {
+  const row = document.createElement('div');
+  row.className = 'leg-row';
+  row.innerHTML = `
+    <div><label>Destination</label><input class="leg-destination" list="popularDestinations" placeholder="e.g. Lisbon, Portugal"></div>
+    <div><label>Start Date</label><input class="leg-start" type="date"></div>
+    <div><label>End Date</label><input class="leg-end" type="date"></div>
+    <button type="button" class="danger leg-remove" title="Remove this city">✕</button>
+  `;
+  row.querySelector('.leg-destination').value = destination;
+  row.querySelector('.leg-start').value = startDate;
+  row.querySelector('.leg-end').value = endDate;
+  row.querySelector('.leg-remove').onclick = () => {
+    row.remove();
+    updateLegControls();
+  };
+  legsEl.appendChild(row);
+  updateLegControls();
+  return row;
+}
+
+function updateLegControls() {
+  const rows = legsEl.querySelectorAll('.leg-row');
+  rows.forEach(row => { row.querySelector('.leg-remove').style.visibility = rows.length > 1 ? '' : 'hidden'; });
+  addLegBtn.disabled = rows.length >= MAX_LEGS;
+}
+
+function readLegs() {
+  return [...legsEl.querySelectorAll('.leg-row')].map(row => ({
+    destination: row.querySelector('.leg-destination').value.trim(),
+    startDate: row.querySelector('.leg-start').value,
+    endDate: row.querySelector('.leg-end').value,
+  }));
+}
+
+// Places the server matched in earlier plans, by the text typed for them.
+// Sending them back with the legs lets it skip the geocoder.
+const resolvedPlaces = new Map();
+
+function withResolvedPlaces(legs) {
+  return legs.map(leg => ({ ...leg, ...resolvedPlaces.get(leg.destination.toLowerCase()) }));
+}
+
+function rememberPlaces(typedLegs, trip) {
+  (trip.legs || []).forEach((leg, i) => {
+    if (!typedLegs[i] || leg.latitude == null) return;
+    const { destination, name, country, latitude, longitude, timezone } = leg;
+    resolvedPlaces.set(typedLegs[i].destination.toLowerCase(), { destination, name, country, latitude, longitude, timezone });
+  });
+}
+
+addLegBtn.onclick = () => {
+  const previous = readLegs().pop();
+  addLegRow({ startDate: previous?.endDate || '' }).querySelector('.leg-destination').focus();
+};
+
+addLegRow();
+
 document.getElementById('planTrip').onclick = async () => {
   const btn = document.getElementById('planTrip');
-  btn.disabled = true;
+  const cancelBtn = document.getElementById('cancelPlan');
   const outDiv = document.getElementById('out');
-  outDiv.innerHTML = '<div class="empty-state"><span style="font-size: 3rem;">🔄</span><p>Planning your trip...</p></div>';
 
-  try {
-    const destination = document.getElementById('destination').value.trim();
-    const startDate = document.getElementById('startDate').value;
-    const endDate = document.getElementById('endDate').value;
+  const legs = readLegs();
+  const mode = document.getElementById('planMode').value;
 
-    if (!destination || !startDate || !endDate) {
-      alert('Please fill in all fields');
-      btn.disabled = false;
-      return;
-    }
+  if (legs.some(l => !l.destination || !l.startDate || !l.endDate)) {
+    alert('Please fill in a destination and dates for every city');
+    return;
+  }
 
-    const data = await api("/api/travel-plan", "POST", { destination, startDate, endDate });
+  btn.disabled = true;
+  cancelBtn.style.display = '';
+  outDiv.innerHTML = '<div class="empty-state"><span style="font-size: 3rem;">🔄</span><p>Planning your trip...</p></div>';
 
-    if (data.error) {
-      outDiv.innerHTML = '<div class="empty-state"><span style="font-size: 3rem;">❌</span><p>Error: ' + data.error + '</p></div>';
+  // Shown while streaming; the server's geocoded names replace these when done
+  const trip = {
+    destination: legs.map(l => l.destination).join(' → '),
+    startDate: legs[0].startDate,
+    endDate: legs[legs.length - 1].endDate,
+    legs,
+    mode,
+  };
+  let text = '';
+  let frame = null;
+
+  // Re-render at most once per animation frame while tokens pour in
+  const renderPartial = () => {
+    frame = null;
+    const plan = parsePartialJson(text);
+    if (plan) formatTravelPlan(outDiv, { ...trip, plan }, { streaming: true });
+  };
+
+  planController = new AbortController();
+  let lockedFor = 0;
+
+  try {
+    await streamApi("/api/travel-plan/stream", { legs: withResolvedPlaces(legs), mode }, {
+      signal: planController.signal,
+      onEvent: event => {
+        if (event.type === 'weather') {
+          trip.weather = event.weather;
+          formatTravelPlan(outDiv, { ...trip, plan: parsePartialJson(text) || {} }, { streaming: true });
+        } else if (event.type === 'token') {
+          text += event.text;
+          if (!frame) frame = requestAnimationFrame(renderPartial);
+        } else if (event.type === 'retry') {
+          text = '';
+        } else if (event.type === 'done') {
+          if (frame) cancelAnimationFrame(frame);
+          frame = null;
+          rememberPlaces(legs, event.trip);
+          formatTravelPlan(outDiv, event.trip);
+          loadTrips();
+        } else if (event.type === 'error') {
+          throw new Error(event.error);
+        }
+      }
+    });
+  } catch (e) {
+    if (frame) cancelAnimationFrame(frame);
+    if (e.name === 'AbortError') {
+      outDiv.innerHTML = '<div class="empty-state"><span style="font-size: 3rem;">⏹️</span><p>Planning cancelled.</p></div>';
+    } else if (e.status === 429) {
+      lockedFor = e.retryAfter;
+      outDiv.innerHTML = '<div class="empty-state"><span style="font-size: 3rem;">⏳</span><p>' + escapeHtml(e.message) + '</p></div>';
     } else {
-      formatTravelPlan(outDiv, data);
+      outDiv.innerHTML = '<div class="empty-state"><span style="font-size: 3rem;">❌</span><p>Request failed: ' + escapeHtml(e.message) + '</p></div>';
     }
-  } catch (e) {
-    outDiv.innerHTML = '<div class="empty-state"><span style="font-size: 3rem;">❌</span><p>Request failed: ' + e.message + '</p></div>';
   } finally {
+    planController = null;
     btn.disabled = false;
+    cancelBtn.style.display = 'none';
+    if (lockedFor) holdButton(btn, lockedFor);
   }
 };
 
-function formatTravelPlan(container, data) {
-  container.innerHTML = '';
-  
-  const header = document.createElement('div');
-  header.style.cssText = 'background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; border-radius: 8px 8px 0 0; margin-bottom: 16px;';
-  header.innerHTML = `
-    <div style="font-size: 1.5rem; font-weight: bold; margin-bottom: 8px;">📍 ${data.destination}</div>
-    <div style="font-size: 1rem; opacity: 0.9;">📅 ${data.startDate} → ${data.endDate}</div>
-  `;
-  container.appendChild(header);
-
-  const answer = data.answer;
-  const sections = parseResponseIntoSections(answer);
+document.getElementById('cancelPlan').onclick = () => {
+  planController?.abort();
+};
 
-  if (sections.mustVisit) {
-    container.appendChild(createSectionCard('🏛️ Must Visit', sections.mustVisit, '#667eea'));
-  }
-  if (sections.packingList) {
-    container.appendChild(createSectionCard('🎒 Packing List', sections.packingList, '#10b981'));
+// Signed-in view of a trip: exports, an editable packing list and timeline
+// once it is saved, and sharing, comments and changes below the plan
+function formatTravelPlan(container, data, { streaming = false } = {}) {
+  const saved = !!data.id && !streaming;
+  renderTripView(container, data, {
+    streaming,
+    units: preferences.units,
+    header: saved ? header => addExportLinks(header, data) : null,
+    packing: saved ? () => createPackingEditor(data) : null,
+    timeline: saved ? timelineEditor : null,
+  });
+  if (saved) {
+    // A plan that was just generated comes back without a role: it's ours
+    data.role ||= 'owner';
+    container.appendChild(createCollaborationCard(data));
   }
-  if (sections.precautions) {
-    container.appendChild(createSectionCard('⚠️ Precautions & Tips', sections.precautions, '#f59e0b'));
+}
+
+// Exports are built from the saved trip, so they appear once it has an id
+function addExportLinks(header, trip) {
+  const base = `/api/trips/${encodeURIComponent(trip.id)}/export`;
+  header.insertAdjacentHTML('beforeend', `
+    <div class="export-links">
+      <a href="${base}/html" target="_blank" rel="noopener">🖨️ Print / PDF</a>
+      <a href="${base}/md" download>📝 Markdown</a>
+      <a href="${base}/ics" download>📅 Add to calendar (.ics)</a>
+    </div>
+  `);
+}
+
+// ============================================================================
+// ITINERARY & PACKING EDITING
+// ============================================================================
+
+const timelineEditor = { onMove: moveActivity, onRegenerate: regenerateDay };
+
+async function moveActivity(content, trip, id, date, slot, beforeId) {
+  if (!id || id === beforeId) return;
+  const days = trip.plan.itinerary.days;
+  const previous = JSON.parse(JSON.stringify(days));
+
+  let moved = null;
+  days.forEach(d => SLOTS.forEach(({ key }) => {
+    const idx = d.slots[key].findIndex(a => a.id === id);
+    if (idx !== -1) moved = d.slots[key].splice(idx, 1)[0];
+  }));
+  if (!moved) return;
+
+  const target = days.find(d => d.date === date).slots[slot];
+  const at = beforeId ? target.findIndex(a => a.id === beforeId) : -1;
+  target.splice(at === -1 ? target.length : at, 0, moved);
+  renderTimeline(content, trip, timelineEditor);
+
+  try {
+    await api(`/api/trips/${encodeURIComponent(trip.id)}/itinerary`, "PUT", { days });
+  } catch (e) {
+    trip.plan.itinerary.days = previous;
+    renderTimeline(content, trip, timelineEditor);
+    alert('Could not save itinerary: ' + e.message);
   }
+}
 
-  if (!sections.mustVisit && !sections.packingList && !sections.precautions) {
-    const fallbackCard = document.createElement('div');
-    fallbackCard.className = 'section-card';
-    fallbackCard.innerHTML = `
-      <div class="section-title">📋 Travel Information</div>
-      <div class="section-content" style="white-space: pre-wrap;">${answer}</div>
-    `;
-    container.appendChild(fallbackCard);
+async function regenerateDay(content, trip, date, btn) {
+  btn.disabled = true;
+  btn.textContent = '🔄 Planning...';
+  try {
+    const { day } = await api(
+      `/api/trips/${encodeURIComponent(trip.id)}/itinerary/days/${encodeURIComponent(date)}/regenerate`,
+      "POST"
+    );
+    const days = trip.plan.itinerary.days;
+    days[days.findIndex(d => d.date === date)] = day;
+    renderTimeline(content, trip, timelineEditor);
+  } catch (e) {
+    btn.disabled = false;
+    btn.textContent = '↻ Regenerate day';
+    alert('Could not regenerate day: ' + e.message);
   }
 }
 
-function parseResponseIntoSections(text) {
-  const sections = { mustVisit: '', packingList: '', precautions: '' };
-  const mustVisitMatch = text.match(/MUST VISIT:?\s*([\s\S]*?)(?=PACKING LIST:|PRECAUTIONS:|$)/i);
-  const packingMatch = text.match(/PACKING LIST:?\s*([\s\S]*?)(?=MUST VISIT:|PRECAUTIONS:|$)/i);
-  const precautionsMatch = text.match(/PRECAUTIONS:?\s*([\s\S]*?)(?=MUST VISIT:|PACKING LIST:|$)/i);
+// Persistent checklist: check-off state, quantities and custom items are
+// saved per item so collaborators editing at once don't overwrite each other
+function createPackingEditor(trip) {
+  const card = createSectionCard('🎒 Packing List', '', '#10b981');
+  renderPackingEditor(card.querySelector('.section-content'), trip);
+  return card;
+}
 
-  if (mustVisitMatch) sections.mustVisit = mustVisitMatch[1].trim();
-  if (packingMatch) sections.packingList = packingMatch[1].trim();
-  if (precautionsMatch) sections.precautions = precautionsMatch[1].trim();
+function renderPackingEditor(content, trip) {
+  const items = trip.packingList?.items || [];
+  const packed = items.filter(i => i.checked).length;
+  const base = `/api/trips/${encodeURIComponent(trip.id)}/packing`;
+
+  const groups = PACKING_CATEGORIES.map(category => {
+    const list = items.filter(i => i.category === category);
+    if (!list.length) return '';
+    return `
+      <p><strong>${escapeHtml(capitalize(category))}</strong></p>
+      <ul class="checklist">${list.map(i => `
+        <li data-item="${escapeHtml(i.id)}" class="${i.checked ? 'checked' : ''}">
+          <label>
+            <input type="checkbox" data-field="checked" ${i.checked ? 'checked' : ''}>
+            <span class="item-name">${escapeHtml(i.name)}</span>
+          </label>
+          ${i.source === 'weather' ? `<span class="tag" title="${escapeHtml(i.reason || '')}">🌦️ weather</span>` : ''}
+          <input type="number" data-field="quantity" min="1" max="99" value="${i.quantity}" title="Quantity">
+          <button type="button" class="link-btn" data-action="remove" title="Remove">✕</button>
+        </li>`).join('')}
+      </ul>
+    `;
+  }).join('');
+
+  content.innerHTML = `
+    <p class="muted" style="margin-top: 0;">${packed} of ${items.length} packed. Items marked 🌦️ were added for this trip's weather.</p>
+    ${groups || '<p>Nothing to show.</p>'}
+    <form class="inline-form" data-form="add-item">
+      <input name="item" maxlength="200" placeholder="Add an item…" autocomplete="off">
+      <select name="category" style="width: auto;">
+        ${PACKING_CATEGORIES.map(c => `<option value="${c}">${escapeHtml(capitalize(c))}</option>`).join('')}
+      </select>
+      <input name="quantity" type="number" min="1" max="99" value="1" title="Quantity" style="width: 64px; flex: none;">
+      <button type="submit">Add</button>
+    </form>
+  `;
+
+  // On failure the list is re-rendered from the last saved state
+  const save = async (request) => {
+    try {
+      await request();
+    } catch (e) {
+      alert('Could not save packing list: ' + e.message);
+    }
+    renderPackingEditor(content, trip);
+  };
+  const itemOf = el => items.find(i => i.id === el.closest('[data-item]').dataset.item);
+  const patch = (item, changes) => save(async () => {
+    const data = await api(`${base}/${encodeURIComponent(item.id)}`, "PATCH", changes);
+    Object.assign(item, data.item);
+  });
 
-  return sections;
+  content.querySelectorAll('[data-field="checked"]').forEach(box => {
+    box.onchange = () => patch(itemOf(box), { checked: box.checked });
+  });
+  content.querySelectorAll('[data-field="quantity"]').forEach(input => {
+    input.onchange = () => patch(itemOf(input), { quantity: Number(input.value) });
+  });
+  content.querySelectorAll('[data-action="remove"]').forEach(btn => {
+    btn.onclick = () => {
+      const item = itemOf(btn);
+      save(async () => {
+        await api(`${base}/${encodeURIComponent(item.id)}`, "DELETE");
+        items.splice(items.indexOf(item), 1);
+      });
+    };
+  });
+  content.querySelector('[data-form="add-item"]').onsubmit = e => {
+    e.preventDefault();
+    const form = e.target;
+    const name = form.item.value.trim();
+    if (!name) return;
+    save(async () => {
+      const data = await api(base, "POST", { name, category: form.category.value, quantity: Number(form.quantity.value) });
+      items.push(data.item);
+      trip.packingList = { items };
+    });
+  };
 }
 
-function createSectionCard(title, content, color) {
-  const card = document.createElement('div');
-  card.className = 'section-card';
-  
-  const titleDiv = document.createElement('div');
-  titleDiv.className = 'section-title';
-  titleDiv.style.borderBottomColor = color;
-  titleDiv.textContent = title;
-  
-  const contentDiv = document.createElement('div');
-  contentDiv.className = 'section-content';
-  contentDiv.innerHTML = formatContent(content);
-  
-  card.appendChild(titleDiv);
-  card.appendChild(contentDiv);
+// ============================================================================
+// SHARING & COLLABORATION
+// ============================================================================
+
+const CHANGE_LABELS = {
+  'itinerary.edit': 'rearranged the itinerary',
+  'itinerary.regenerate_day': 'regenerated a day',
+  'packing.add': 'added to the packing list:',
+  'packing.edit': 'edited on the packing list:',
+  'packing.remove': 'removed from the packing list:',
+  'collaborator.add': 'invited',
+  'collaborator.remove': 'removed',
+  'share.create': 'created a share link',
+  'share.revoke': 'revoked the share link',
+};
+
+const shareUrl = token => `${window.location.origin}/shared.html#${token}`;
+
+function createCollaborationCard(trip) {
+  const card = createSectionCard('👥 Sharing & Comments', '', '#ec4899');
+  renderCollaboration(card.querySelector('.section-content'), trip);
   return card;
 }
 
-function formatContent(text) {
-  const lines = text.split('\n').filter(line => line.trim());
-  let html = '<ul>';
-  
-  lines.forEach(line => {
-    const trimmed = line.trim();
-    if (trimmed.match(/^[-•*]\s/)) {
-      const content = trimmed.replace(/^[-•*]\s/, '');
-      html += `<li>${content}</li>`;
-    } else if (trimmed) {
-      html += '</ul><p>' + trimmed + '</p><ul>';
+function renderCollaboration(content, trip) {
+  const owner = trip.role === 'owner';
+  const base = `/api/trips/${encodeURIComponent(trip.id)}`;
+  const mine = userId => userId.toLowerCase() === me.userId.toLowerCase();
+  const when = iso => new Date(iso).toLocaleString();
+
+  const share = !owner ? '' : trip.shareToken ? `
+    <p>Anyone with this link can view the plan without signing in:</p>
+    <div class="inline-form">
+      <input id="shareUrl" readonly value="${escapeHtml(shareUrl(trip.shareToken))}">
+      <button type="button" data-action="copy-link">Copy</button>
+      <button type="button" class="danger" data-action="revoke-link">Revoke</button>
+    </div>
+  ` : `
+    <p>Create a read-only link to share this plan with anyone.</p>
+    <button type="button" data-action="create-link">Create share link</button>
+  `;
+
+  const collaborators = (trip.collaborators || []).map(c => `
+    <li><strong>${escapeHtml(c.userId)}</strong>
+      ${owner || mine(c.userId) ? `<button type="button" class="link-btn" data-remove-collaborator="${escapeHtml(c.userId)}">${mine(c.userId) ? 'Leave trip' : 'Remove'}</button>` : ''}
+    </li>
+  `).join('');
+
+  const comments = (trip.comments || []).map(c => `
+    <li class="comment">
+      <div class="muted"><strong>${escapeHtml(c.userId)}</strong> · ${escapeHtml(when(c.at))}
+        ${owner || mine(c.userId) ? `<button type="button" class="link-btn" data-delete-comment="${escapeHtml(c.id)}">Delete</button>` : ''}
+      </div>
+      <div style="white-space: pre-wrap;">${escapeHtml(c.text)}</div>
+    </li>
+  `).join('');
+
+  const changes = (trip.history || []).slice().reverse().slice(0, 20).map(h => `
+    <li><strong>${escapeHtml(h.userId)}</strong> ${escapeHtml(CHANGE_LABELS[h.action] || h.action)}${h.collaborator ? ` ${escapeHtml(h.collaborator)}` : ''}${h.item ? ` ${escapeHtml(h.item)}` : ''}${h.date ? ` (${escapeHtml(toDateLabel(h.date))})` : ''}
+      <span class="muted">· ${escapeHtml(when(h.at))}</span></li>
+  `).join('');
+
+  content.innerHTML = `
+    ${owner ? '' : `<p>Shared with you by <strong>${escapeHtml(trip.userId)}</strong>.</p>`}
+    ${share}
+    <p><strong>Collaborators</strong> <span class="muted">can comment and edit the packing list and itinerary</span></p>
+    <ul>${collaborators || '<li class="muted">Nobody yet.</li>'}</ul>
+    ${owner ? `
+      <form class="inline-form" data-form="invite">
+        <input name="userId" placeholder="Account ID to invite" autocomplete="off">
+        <button type="submit">Invite</button>
+      </form>` : ''}
+    <p><strong>Comments</strong></p>
+    <ul class="comment-list">${comments || '<li class="muted">No comments yet.</li>'}</ul>
+    <form data-form="comment">
+      <textarea name="text" rows="2" maxlength="1000" placeholder="Add a comment…"></textarea>
+      <button type="submit" style="margin-top: 4px;">Post</button>
+    </form>
+    ${changes ? `<p><strong>Recent changes</strong></p><ul>${changes}</ul>` : ''}
+    <div class="status" data-status></div>
+  `;
+
+  const statusEl = content.querySelector('[data-status]');
+  const run = async (work) => {
+    try {
+      const result = await work();
+      // Re-read so comments, collaborators and changes from others show up
+      Object.assign(trip, await api(base));
+      renderCollaboration(content, trip);
+      if (result?.message) setStatus(content.querySelector('[data-status]'), '✅ ' + result.message);
+    } catch (e) {
+      setStatus(statusEl, '❌ ' + e.message, true);
     }
+  };
+
+  content.querySelector('[data-action="create-link"]')?.addEventListener('click', () => run(() => api(`${base}/share`, "POST")));
+  content.querySelector('[data-action="revoke-link"]')?.addEventListener('click', () => {
+    if (confirm('Revoke this link? Anyone using it will no longer see the trip.')) run(() => api(`${base}/share`, "DELETE"));
   });
-  
-  html += '</ul>';
-  html = html.replace(/<ul><\/ul>/g, '').replace(/<ul>\s*<\/ul>/g, '');
-  return html;
+  content.querySelector('[data-action="copy-link"]')?.addEventListener('click', async () => {
+    const input = content.querySelector('#shareUrl');
+    try {
+      await navigator.clipboard.writeText(input.value);
+      setStatus(statusEl, '✅ Link copied');
+    } catch {
+      input.select();
+    }
+  });
+  content.querySelectorAll('[data-remove-collaborator]').forEach(btn => {
+    btn.onclick = async () => {
+      const userId = btn.dataset.removeCollaborator;
+      if (mine(userId)) {
+        if (!confirm('Leave this trip? You will lose access to it.')) return;
+        try {
+          await api(`${base}/collaborators/${encodeURIComponent(userId)}`, "DELETE");
+          document.getElementById('out').innerHTML = '<div class="empty-state"><p>You left the trip.</p></div>';
+          loadTrips();
+        } catch (e) {
+          setStatus(statusEl, '❌ ' + e.message, true);
+        }
+        return;
+      }
+      run(() => api(`${base}/collaborators/${encodeURIComponent(userId)}`, "DELETE"));
+    };
+  });
+  content.querySelector('[data-form="invite"]')?.addEventListener('submit', e => {
+    e.preventDefault();
+    const userId = e.target.userId.value.trim();
+    if (userId) run(() => api(`${base}/collaborators`, "POST", { userId }));
+  });
+  content.querySelector('[data-form="comment"]').addEventListener('submit', e => {
+    e.preventDefault();
+    const text = e.target.text.value.trim();
+    if (text) run(() => api(`${base}/comments`, "POST", { text }));
+  });
+  content.querySelectorAll('[data-delete-comment]').forEach(btn => {
+    btn.onclick = () => run(() => api(`${base}/comments/${encodeURIComponent(btn.dataset.deleteComment)}`, "DELETE"));
+  });
+}
+
+// ============================================================================
+// MY TRIPS
+// ============================================================================
+
+const tripListEl = document.getElementById('tripList');
+const tripStatusEl = document.getElementById('tripStatus');
+
+async function loadTrips() {
+  try {
+    const { trips } = await api("/api/trips");
+    renderTripList(trips || []);
+    setStatus(tripStatusEl, '');
+  } catch (e) {
+    setStatus(tripStatusEl, '❌ ' + e.message, true);
+  }
 }
 
+function renderTripList(trips) {
+  tripListEl.innerHTML = '';
+
+  if (!trips.length) {
+    tripListEl.innerHTML = '<li class="empty-state" style="padding: 16px;">No saved trips yet.</li>';
+    return;
+  }
+
+  trips.forEach(trip => {
+    const li = document.createElement('li');
+    li.className = 'trip-item';
+
+    const info = document.createElement('div');
+    info.className = 'trip-info';
+    const name = document.createElement('div');
+    name.className = 'trip-name';
+    name.textContent = trip.name;
+    const meta = document.createElement('div');
+    meta.className = 'trip-meta';
+    meta.textContent = trip.role === 'collaborator'
+      ? `Shared by ${trip.userId}`
+      : `Saved ${new Date(trip.createdAt).toLocaleString()}${trip.collaborators?.length ? ` · shared with ${trip.collaborators.length}` : ''}`;
+    info.append(name, meta);
+
+    const openBtn = document.createElement('button');
+    openBtn.textContent = 'Open';
+    openBtn.onclick = () => openTrip(trip.id);
+
+    // Renaming and deleting are up to the owner
+    if (trip.role === 'collaborator') {
+      li.append(info, openBtn);
+      tripListEl.appendChild(li);
+      return;
+    }
+
+    const renameBtn = document.createElement('button');
+    renameBtn.textContent = 'Rename';
+    renameBtn.onclick = () => renameTrip(trip);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.className = 'danger';
+    deleteBtn.onclick = () => deleteTrip(trip);
+
+    li.append(info, openBtn, renameBtn, deleteBtn);
+    tripListEl.appendChild(li);
+  });
+}
+
+async function openTrip(id) {
+  const outDiv = document.getElementById('out');
+  try {
+    const trip = await api(`/api/trips/${encodeURIComponent(id)}`);
+    formatTravelPlan(outDiv, trip);
+    outDiv.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  } catch (e) {
+    setStatus(tripStatusEl, '❌ ' + e.message, true);
+  }
+}
+
+async function renameTrip(trip) {
+  const name = prompt('Rename trip', trip.name);
+  if (name == null || !name.trim() || name.trim() === trip.name) return;
+  try {
+    await api(`/api/trips/${encodeURIComponent(trip.id)}`, "PATCH", { name: name.trim() });
+    await loadTrips();
+  } catch (e) {
+    setStatus(tripStatusEl, '❌ ' + e.message, true);
+  }
+}
+
+async function deleteTrip(trip) {
+  if (!confirm(`Delete "${trip.name}"?`)) return;
+  try {
+    await api(`/api/trips/${encodeURIComponent(trip.id)}`, "DELETE");
+    await loadTrips();
+  } catch (e) {
+    setStatus(tripStatusEl, '❌ ' + e.message, true);
+  }
+}
+
+loadTrips();
+
 // ============================================================================
 // WEATHER FEATURE - COMPLETE VERSION
 // ============================================================================
 
 const el = {
   city: document.getElementById("city"),
+  cityOptions: document.getElementById("cityOptions"),
   lat: document.getElementById("lat"),
   lon: document.getElementById("lon"),
   unit: document.getElementById("unit"),
+  days: document.getElementById("days"),
+  hours: document.getElementById("hours"),
+  startDate: document.getElementById("wxStartDate"),
+  endDate: document.getElementById("wxEndDate"),
   go: document.getElementById("go"),
+  lastYear: document.getElementById("lastYear"),
   status: document.getElementById("status"),
   locTitle: document.getElementById("locTitle"),
   meta: document.getElementById("meta"),
@@ -204,11 +684,17 @@ const el = {
   hourlyPrev: document.getElementById("hourlyPrev"),
   hourlyNext: document.getElementById("hourlyNext"),
   hourlyRangeLabel: document.getElementById("hourlyRangeLabel"),
+  hourlyTitle: document.getElementById("hourlyTitle"),
+  dailyTitle: document.getElementById("dailyTitle"),
   dailyTable: document.querySelector("#dailyTable tbody"),
   dailyMinHeader: document.getElementById("dailyMinHeader"),
   dailyMaxHeader: document.getElementById("dailyMaxHeader"),
+  dailyFeelsHeader: document.getElementById("dailyFeelsHeader"),
 };
 
+el.unit.value = preferences.units;
+if (preferences.homeCity && !el.city.value) el.city.value = preferences.homeCity;
+
 const hourlyState = {
   rows: [],
   unit: "c",
@@ -216,8 +702,9 @@ const hourlyState = {
   sunsetMin: null,
   start: 0,
   windowSize: 8,
-  nowIndex: 0,
+  nowIndex: -1,
   timezone: null,
+  multiDay: false,
 };
 
 // Fetch weather data
@@ -231,21 +718,37 @@ async function fetchWeather() {
     const lonRaw = (el.lon?.value || "").trim();
 
     const params = {};
-    if (city) {
+    if (selectedLocation && city === selectedLocation.label) {
+      params.lat = selectedLocation.latitude;
+      params.lon = selectedLocation.longitude;
+      params.label = selectedLocation.label;
+      if (selectedLocation.timezone) params.tz = selectedLocation.timezone;
+    } else if (city) {
       params.city = city;
     } else if (latRaw !== "" && lonRaw !== "" && isFinite(Number(latRaw)) && isFinite(Number(lonRaw))) {
       params.lat = Number(latRaw);
       params.lon = Number(lonRaw);
     }
 
+    const startDate = el.startDate?.value || "";
+    const endDate = el.endDate?.value || "";
+    if (startDate || endDate) {
+      params.start_date = startDate || endDate;
+      params.end_date = endDate || startDate;
+    } else {
+      params.days = el.days?.value || 7;
+      params.hours = el.hours?.value || 24;
+    }
+
     const raw = await callWeatherApi(params);
     const data = normalizeWeather(raw);
     const unit = el.unit.value === "f" ? "f" : "c";
 
     renderMeta(data);
+    renderTitles(data);
     renderCurrent(data.current, unit);
-    setupHourly(data.hourly24 || [], unit, data.current?.sunrise, data.current?.sunset, data.timezone);
-    renderDaily(data.daily7 || [], unit);
+    setupHourly(data.hourly, unit, data.current?.sunrise ?? data.daily[0]?.sunrise, data.current?.sunset ?? data.daily[0]?.sunset, data.timezone, data.range);
+    renderDaily(data.daily, unit);
 
     setStatus(el.status, "");
   } catch (err) {
@@ -257,6 +760,27 @@ async function fetchWeather() {
   }
 }
 
+// Look up the same dates one year back; the server answers from the
+// archive when they are far enough in the past.
+function fetchLastYear() {
+  const shift = iso => {
+    const [y, m, d] = iso.split("-").map(Number);
+    const dt = new Date(Date.UTC(y - 1, m - 1, d));
+    // Feb 29 rolls over to Mar 1; clamp it back to Feb 28
+    if (dt.getUTCMonth() !== m - 1) dt.setUTCDate(0);
+    return dt.toISOString().slice(0, 10);
+  };
+
+  const today = new Date().toISOString().slice(0, 10);
+  const start = el.startDate.value || el.endDate.value || today;
+  const end = el.endDate.value || el.startDate.value ||
+    new Date(Date.now() + (Number(el.days.value || 7) - 1) * 86400000).toISOString().slice(0, 10);
+
+  el.startDate.value = shift(start);
+  el.endDate.value = shift(end);
+  fetchWeather();
+}
+
 function clearAllUI() {
   el.locTitle.textContent = "Location";
   el.meta.textContent = "";
@@ -272,11 +796,44 @@ function renderMeta(data) {
   el.meta.textContent =
     `Latitude: ${Number(data.latitude).toFixed(4)}, ` +
     `Longitude: ${Number(data.longitude).toFixed(4)}\n` +
-    `TimeZone: ${data.timezone} · Updated: ${new Date(data.generated_at).toLocaleString()}`;
+    `TimeZone: ${data.timezone} · Updated: ${new Date(data.generated_at).toLocaleString()}` +
+    (data.range?.mode === "archive" ? "\n📜 Historical records" : "") +
+    (data.stale ? "\n⚠️ Weather service unavailable — showing the last cached data." : "");
+}
+
+function renderTitles(data) {
+  const range = data.range;
+  if (range && range.mode !== "forecast") {
+    const span = `${toDateLabel(range.start_date)} – ${toDateLabel(range.end_date)}`;
+    el.hourlyTitle.textContent = `Hourly Weather (${span})`;
+    el.dailyTitle.textContent = `Daily Weather (${span})`;
+    return;
+  }
+  const hours = range?.hours || data.hourly.length;
+  const days = range?.days || data.daily.length;
+  el.hourlyTitle.textContent = `Hourly Forecast (Next ${hours} hours)`;
+  el.dailyTitle.textContent = `Daily Forecast (Next ${days} ${days === 1 ? "day" : "days"})`;
 }
 
 function renderCurrent(current, unit) {
+  if (!current) {
+    el.currentList.innerHTML = "<li>Current conditions are only shown for live forecasts.</li>";
+    return;
+  }
+
   const items = [];
+  const u = unitLabel(unit);
+  const temp = v => (v == null ? "—" : `${maybeConvert(v, unit).toFixed(1)}${u}`);
+
+  // Conditions
+  if (current?.weather_code != null) {
+    const { label, icon } = weatherCodeInfo(current.weather_code, current.is_day !== 0);
+    items.push(`Conditions: ${icon} ${label}`);
+  }
+  items.push(`Temperature: ${temp(current?.temp_c)} (feels like ${temp(current?.feels_like_c)})`);
+  items.push(`Wind: ${formatWind(current?.wind_kmh, current?.wind_dir)}${current?.gust_kmh != null ? `, gusts ${Math.round(current.gust_kmh)} km/h` : ""}`);
+  items.push(`Precipitation: ${current?.precip_mm != null ? current.precip_mm + ' mm' : '—'}`);
+  items.push(`Cloud Cover: ${current?.cloud_cover != null ? current.cloud_cover + '%' : '—'}`);
 
   // Air quality
   if (current?.air_quality) {
@@ -299,12 +856,12 @@ function renderCurrent(current, unit) {
   
   // Sunrise/Sunset
   if (current?.sunrise) {
-    items.push(`Sunrise: ${new Date(current.sunrise).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`);
+    items.push(`Sunrise: ${formatClockTime(current.sunrise, preferences.timeFormat)}`);
   } else {
     items.push("Sunrise: —");
   }
   if (current?.sunset) {
-    items.push(`Sunset: ${new Date(current.sunset).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`);
+    items.push(`Sunset: ${formatClockTime(current.sunset, preferences.timeFormat)}`);
   } else {
     items.push("Sunset: —");
   }
@@ -312,65 +869,77 @@ function renderCurrent(current, unit) {
   el.currentList.innerHTML = items.map(x => `<li>${x}</li>`).join("");
 }
 
-function setupHourly(hourly24, unit, sunriseIso, sunsetIso, timezone) {
+function setupHourly(hourly, unit, sunriseIso, sunsetIso, timezone, range) {
   hourlyState.unit = unit;
   hourlyState.timezone = timezone || null;
   hourlyState.sunriseMin = getMinutesOfDayFromIso(sunriseIso);
   hourlyState.sunsetMin = getMinutesOfDayFromIso(sunsetIso);
 
-  const rows = (hourly24 || []).map(h => ({
+  const rows = (hourly || []).map(h => ({
     timeIso: h.time,
     minutesOfDay: getMinutesOfDayFromIso(h.time),
     temp: maybeConvert(h.temp_c, unit),
+    feels: maybeConvert(h.feels_like_c, unit),
     prob: h.precip_prob,
+    precip: h.precip_mm,
+    cloud: h.cloud_cover,
+    wind: h.wind_kmh,
+    gust: h.gust_kmh,
+    dir: h.wind_dir,
+    code: h.weather_code,
+    isDay: h.is_day,
   }));
 
+  // Rows arrive in time order; open the pager on the current hour when it
+  // is part of the range.
   const nowIdx = computeNowIndex(rows, timezone);
-  let rotated = rows;
-  if (rows.length && nowIdx > 0) {
-    rotated = rows.slice(nowIdx).concat(rows.slice(0, nowIdx));
-    hourlyState.nowIndex = 0;
-  } else {
-    hourlyState.nowIndex = nowIdx;
-  }
-
-  hourlyState.rows = rotated;
-  hourlyState.start = 0;
+  hourlyState.rows = rows;
+  hourlyState.nowIndex = nowIdx;
+  hourlyState.multiDay = rows.length > 24 || (range != null && range.mode !== "forecast");
+  hourlyState.start = nowIdx > 0
+    ? Math.min(nowIdx, Math.max(0, rows.length - hourlyState.windowSize))
+    : 0;
   renderHourlyWindow();
 }
 
 function computeNowIndex(rows, timezone) {
-  if (!rows?.length || !timezone) return 0;
+  if (!rows?.length || !timezone) return -1;
   const keyNow = currentLocalHourKey(timezone);
-  if (!keyNow) return 0;
-  const idx = rows.findIndex(r => String(r.timeIso).slice(0, 13) === keyNow);
-  return idx === -1 ? 0 : idx;
+  if (!keyNow) return -1;
+  return rows.findIndex(r => String(r.timeIso).slice(0, 13) === keyNow);
 }
 
-function hourLabel(globalIndex, iso) {
+// Multi-day ranges label each midnight (and the first column) with the day
+function hourLabel(globalIndex, iso, column) {
   if (globalIndex === hourlyState.nowIndex) return "Now";
-  return formatHourLabel(iso);
+  const hour = formatHourLabel(iso, preferences.timeFormat);
+  if (hourlyState.multiDay && (column === 0 || getHourFromIso(iso) === 0)) {
+    return `${toDateLabel(String(iso).slice(0, 10))}<br>${hour}`;
+  }
+  return hour;
 }
 
-function hourIcon(row) {
-  const { prob, minutesOfDay } = row;
+function isDaytime(row) {
+  const { minutesOfDay, isDay } = row;
   const { sunriseMin, sunsetMin } = hourlyState;
+  if (isDay != null) return isDay === 1;
+  if (minutesOfDay == null || sunriseMin == null || sunsetMin == null) return true;
+  return minutesOfDay > sunriseMin && minutesOfDay < sunsetMin;
+}
 
-  if (prob != null && prob >= 50) return "🌧️";
-  if (minutesOfDay == null || sunriseMin == null || sunsetMin == null) return "-";
-
-  const rowHour = Math.floor(minutesOfDay / 60);
-  const sunriseHour = Math.floor(sunriseMin / 60);
-  const sunsetHour = Math.floor(sunsetMin / 60);
-
-  if (rowHour === sunriseHour) return "🌅";
-  if (rowHour === sunsetHour) return "🌇";
+// Icon comes from the WMO weather code; sunrise/sunset hours keep their own
+// icon when the sky is clear enough to see it.
+function hourIcon(row) {
+  const { minutesOfDay, code } = row;
+  const { sunriseMin, sunsetMin } = hourlyState;
 
-  if (minutesOfDay > sunriseMin && minutesOfDay < sunsetMin) {
-    return prob != null && prob >= 40 ? "⛅" : "☀️";
+  if (code != null && code <= 2 && minutesOfDay != null && sunriseMin != null && sunsetMin != null) {
+    const rowHour = Math.floor(minutesOfDay / 60);
+    if (rowHour === Math.floor(sunriseMin / 60)) return "🌅";
+    if (rowHour === Math.floor(sunsetMin / 60)) return "🌇";
   }
-
-  return prob != null && prob >= 40 ? "☁️🌙" : "🌙";
+  if (code == null) return "-";
+  return weatherCodeInfo(code, isDaytime(row)).icon;
 }
 
 function renderHourlyWindow() {
@@ -380,52 +949,98 @@ function renderHourlyWindow() {
 
   if (!slice.length) {
     el.hourlyTableBody.innerHTML = "<tr><td>No hourly data.</td></tr>";
+    el.hourlyRangeLabel.textContent = "No hourly data";
+    el.hourlyPrev.disabled = true;
+    el.hourlyNext.disabled = true;
     return;
   }
 
   const timeCells = ['<th class="row-label">Time</th>'].concat(
-    slice.map((row, i) => `<td>${hourLabel(start + i, row.timeIso)}</td>`)
+    slice.map((row, i) => `<td>${hourLabel(start + i, row.timeIso, i)}</td>`)
   );
 
   const iconCells = ['<th class="row-label">Icon</th>'].concat(
-    slice.map(row => `<td>${hourIcon(row)}</td>`)
+    slice.map(row => `<td title="${row.code != null ? weatherCodeInfo(row.code).label : ""}">${hourIcon(row)}</td>`)
   );
 
   const tempCells = [`<th class="row-label">Temp (${u})</th>`].concat(
     slice.map(row => `<td>${row.temp == null ? "—" : row.temp.toFixed(1)}</td>`)
   );
 
+  const feelsCells = [`<th class="row-label">Feels (${u})</th>`].concat(
+    slice.map(row => `<td>${row.feels == null ? "—" : row.feels.toFixed(1)}</td>`)
+  );
+
   const probCells = ['<th class="row-label">Rain (%)</th>'].concat(
     slice.map(row => `<td>${row.prob == null ? "—" : `${row.prob}%`}</td>`)
   );
 
+  const precipCells = ['<th class="row-label">Precip (mm)</th>'].concat(
+    slice.map(row => `<td>${row.precip == null ? "—" : row.precip.toFixed(1)}</td>`)
+  );
+
+  const windCells = ['<th class="row-label">Wind</th>'].concat(
+    slice.map(row => `<td>${formatWind(row.wind, row.dir)}</td>`)
+  );
+
+  const gustCells = ['<th class="row-label">Gusts (km/h)</th>'].concat(
+    slice.map(row => `<td>${row.gust == null ? "—" : Math.round(row.gust)}</td>`)
+  );
+
+  const cloudCells = ['<th class="row-label">Clouds (%)</th>'].concat(
+    slice.map(row => `<td>${row.cloud == null ? "—" : `${row.cloud}%`}</td>`)
+  );
+
   el.hourlyTableBody.innerHTML = `
     <tr>${timeCells.join("")}</tr>
     <tr>${iconCells.join("")}</tr>
     <tr>${tempCells.join("")}</tr>
+    <tr>${feelsCells.join("")}</tr>
     <tr>${probCells.join("")}</tr>
+    <tr>${precipCells.join("")}</tr>
+    <tr>${windCells.join("")}</tr>
+    <tr>${gustCells.join("")}</tr>
+    <tr>${cloudCells.join("")}</tr>
   `;
 
+  el.hourlyRangeLabel.textContent =
+    `Hours ${start + 1}–${start + slice.length} of ${rows.length}` +
+    (hourlyState.multiDay ? ` · ${toDateLabel(slice[0].timeIso.slice(0, 10))}` : "");
+
   el.hourlyPrev.disabled = start <= 0;
   const maxStart = Math.max(0, rows.length - windowSize);
   el.hourlyNext.disabled = start >= maxStart;
 }
 
-function renderDaily(daily7, unit) {
-  const rows = (daily7 || []).map(d => ({
+function renderDaily(daily, unit) {
+  const rows = (daily || []).map(d => ({
     label: toDateLabel(d.date),
+    conditions: weatherCodeInfo(d.weather_code),
     tmin: maybeConvert(d.min_c, unit),
     tmax: maybeConvert(d.max_c, unit),
+    feelsMin: maybeConvert(d.feels_like_min_c, unit),
+    feelsMax: maybeConvert(d.feels_like_max_c, unit),
     prob: d.precip_prob_max,
+    precip: d.precip_sum_mm,
+    wind: d.wind_max_kmh,
+    gust: d.gust_max_kmh,
+    dir: d.wind_dir,
   }));
 
+  const t = v => (v == null ? "—" : v.toFixed(1));
+
   el.dailyTable.innerHTML = rows
     .map(r => `
       <tr>
         <td>${r.label}</td>
-        <td>${r.tmin == null ? "—" : r.tmin.toFixed(1)}</td>
-        <td>${r.tmax == null ? "—" : r.tmax.toFixed(1)}</td>
+        <td title="${r.conditions.label}">${r.conditions.icon} ${r.conditions.label}</td>
+        <td>${t(r.tmin)}</td>
+        <td>${t(r.tmax)}</td>
+        <td>${t(r.feelsMin)} / ${t(r.feelsMax)}</td>
         <td>${r.prob == null ? "—" : `${r.prob}%`}</td>
+        <td>${r.precip == null ? "—" : r.precip.toFixed(1)}</td>
+        <td>${formatWind(r.wind, r.dir)}</td>
+        <td>${r.gust == null ? "—" : Math.round(r.gust)}</td>
       </tr>
     `)
     .join("");
@@ -433,11 +1048,113 @@ function renderDaily(daily7, unit) {
   const u = unitLabel(unit);
   el.dailyMinHeader.textContent = `Min (${u})`;
   el.dailyMaxHeader.textContent = `Max (${u})`;
+  el.dailyFeelsHeader.textContent = `Feels (${u})`;
+}
+
+// ============================================================================
+// CITY AUTOCOMPLETE
+// ============================================================================
+
+let selectedLocation = null;
+let cityOptions = [];
+let activeOption = -1;
+let citySearchTimer = null;
+let citySearchSeq = 0;
+
+function formatPopulation(n) {
+  if (n == null) return '';
+  if (n >= 1e6) return `pop. ${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `pop. ${Math.round(n / 1e3)}k`;
+  return `pop. ${n}`;
+}
+
+function renderCityOptions() {
+  const list = el.cityOptions;
+  list.innerHTML = '';
+  list.hidden = !cityOptions.length;
+
+  cityOptions.forEach((c, i) => {
+    const li = document.createElement('li');
+    li.setAttribute('role', 'option');
+    li.className = i === activeOption ? 'active' : '';
+    li.innerHTML = `
+      <div>${escapeHtml(c.name)}${c.admin1 ? ', ' + escapeHtml(c.admin1) : ''}</div>
+      <div class="option-meta">${[c.country, formatPopulation(c.population), c.timezone].filter(Boolean).map(escapeHtml).join(' · ')}</div>
+    `;
+    // mousedown fires before the input blurs and hides the list
+    li.addEventListener('mousedown', e => {
+      e.preventDefault();
+      chooseCity(c);
+    });
+    list.appendChild(li);
+  });
+}
+
+function closeCityOptions() {
+  cityOptions = [];
+  activeOption = -1;
+  renderCityOptions();
+}
+
+function chooseCity(c) {
+  selectedLocation = c;
+  el.city.value = c.label;
+  el.lat.value = c.latitude;
+  el.lon.value = c.longitude;
+  closeCityOptions();
+  fetchWeather();
+}
+
+async function searchCities(q) {
+  const seq = ++citySearchSeq;
+  try {
+    const { results } = await api(`/api/geocode?q=${encodeURIComponent(q)}`);
+    if (seq !== citySearchSeq) return;
+    cityOptions = results || [];
+    activeOption = -1;
+    renderCityOptions();
+  } catch {
+    if (seq === citySearchSeq) closeCityOptions();
+  }
 }
 
+el.city?.addEventListener('input', () => {
+  selectedLocation = null;
+  clearTimeout(citySearchTimer);
+  const q = el.city.value.trim();
+  if (q.length < 2) {
+    citySearchSeq++;
+    closeCityOptions();
+    return;
+  }
+  citySearchTimer = setTimeout(() => searchCities(q), 250);
+});
+
+el.city?.addEventListener('keydown', e => {
+  if (!cityOptions.length) return;
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    activeOption = (activeOption + step + cityOptions.length) % cityOptions.length;
+    renderCityOptions();
+  } else if (e.key === 'Enter' && activeOption !== -1) {
+    e.preventDefault();
+    chooseCity(cityOptions[activeOption]);
+  } else if (e.key === 'Escape') {
+    closeCityOptions();
+  }
+});
+
+el.city?.addEventListener('blur', closeCityOptions);
+
 // Weather event listeners
 el.go?.addEventListener("click", fetchWeather);
-el.unit?.addEventListener("change", fetchWeather);
+// A unit picked here becomes the saved preference
+el.unit?.addEventListener("change", () => {
+  fetchWeather();
+  savePreferences({ units: el.unit.value }).catch(e => console.warn('Could not save unit:', e.message));
+});
+el.lastYear?.addEventListener("click", fetchLastYear);
 
 el.hourlyPrev?.addEventListener("click", () => {
   if (hourlyState.start <= 0) return;
@@ -456,6 +1173,53 @@ el.hourlyNext?.addEventListener("click", () => {
 // ACCOUNT SETTINGS
 // ============================================================================
 
+// Preferences form, built from the shared option lists
+const preferencesForm = document.getElementById('preferencesForm');
+const PREFERENCE_SELECTS = ['units', 'timeFormat', 'language', 'budget', 'travelStyle'];
+
+function fillPreferencesForm() {
+  for (const key of PREFERENCE_SELECTS) {
+    preferencesForm.elements[key].innerHTML = Object.entries(PREFERENCE_OPTIONS[key])
+      .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+      .join('');
+    preferencesForm.elements[key].value = preferences[key];
+  }
+  document.getElementById('prefDietary').innerHTML = Object.entries(PREFERENCE_OPTIONS.dietary)
+    .map(([value, label]) => `
+      <label><input type="checkbox" name="dietary" value="${escapeHtml(value)}" ${preferences.dietary.includes(value) ? 'checked' : ''}> ${escapeHtml(label)}</label>
+    `)
+    .join('');
+  preferencesForm.elements.homeCity.value = preferences.homeCity;
+  preferencesForm.elements.mobility.value = preferences.mobility;
+}
+
+fillPreferencesForm();
+
+preferencesForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const statusEl = document.getElementById('preferencesStatus');
+  const changes = Object.fromEntries(PREFERENCE_SELECTS.map(key => [key, preferencesForm.elements[key].value]));
+  changes.homeCity = preferencesForm.elements.homeCity.value.trim();
+  changes.mobility = preferencesForm.elements.mobility.value.trim();
+  changes.dietary = [...preferencesForm.querySelectorAll('input[name="dietary"]:checked')].map(c => c.value);
+
+  try {
+    const data = await savePreferences(changes);
+    fillPreferencesForm();
+    // Show the weather in the new units right away
+    if (el.unit.value !== preferences.units) {
+      el.unit.value = preferences.units;
+      if (el.currentList.innerHTML) fetchWeather();
+    }
+    setStatus(statusEl, '✅ ' + data.message, false);
+  } catch (err) {
+    setStatus(statusEl, '❌ ' + err.message, true);
+  }
+});
+
+const newPasswordInput = document.getElementById('newPassword');
+attachPasswordMeter(newPasswordInput, { getUserId: () => me.userId, after: newPasswordInput.closest('.row') });
+
 document.getElementById('changeForm').addEventListener('submit', async (e) => {
   e.preventDefault();
   const statusEl = document.getElementById('changeStatus');
@@ -472,15 +1236,216 @@ document.getElementById('changeForm').addEventListener('submit', async (e) => {
 
     setStatus(statusEl, '✅ Password updated! Redirecting to sign in...', false);
     setTimeout(() => { window.location.href = "/"; }, 2000);
+  } catch (err) {
+    setStatus(statusEl, '❌ ' + err.message, true);
+    if (err.status === 429) holdButton(e.target.querySelector('button[type="submit"]'), err.retryAfter);
+  }
+});
+
+// Two-factor authentication: enroll, show recovery codes once, regenerate
+// them, or turn 2FA off again.
+const twoFactorStatusEl = document.getElementById('twoFactorStatus');
+
+function showRecoveryCodes(codes) {
+  document.getElementById('recoveryCodes').innerHTML = codes.map(c => `<li>${escapeHtml(c)}</li>`).join('');
+  document.getElementById('recoveryCodesBox').style.display = '';
+}
+
+async function loadTwoFactor() {
+  try {
+    const state = await api("/api/2fa");
+    document.getElementById('twoFactorState').textContent = state.enabled
+      ? `✅ On since ${new Date(state.enabledAt).toLocaleDateString()} · ${state.recoveryCodesLeft} recovery codes left`
+      : 'Off';
+    document.getElementById('twoFactorOn').style.display = state.enabled ? '' : 'none';
+    document.getElementById('twoFactorOff').style.display = state.enabled ? 'none' : '';
+    document.getElementById('twoFactorEnrollForm').style.display = 'none';
+  } catch (e) {
+    setStatus(twoFactorStatusEl, '❌ ' + e.message, true);
+  }
+}
+
+document.getElementById('twoFactorSetup').addEventListener('click', async () => {
+  try {
+    const { secret, otpauthUri } = await api("/api/2fa/setup", "POST");
+    document.getElementById('twoFactorUri').href = otpauthUri;
+    document.getElementById('twoFactorSecret').textContent = secret.match(/.{1,4}/g).join(' ');
+    document.getElementById('twoFactorOff').style.display = 'none';
+    document.getElementById('twoFactorEnrollForm').style.display = '';
+    document.getElementById('recoveryCodesBox').style.display = 'none';
+    setStatus(twoFactorStatusEl, '');
+  } catch (e) {
+    setStatus(twoFactorStatusEl, '❌ ' + e.message, true);
+  }
+});
+
+document.getElementById('twoFactorEnrollForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const code = document.getElementById('twoFactorEnrollCode').value.trim();
+
+  try {
+    const data = await api("/api/2fa/enable", "POST", { code });
+    e.target.reset();
+    showRecoveryCodes(data.recoveryCodes);
+    setStatus(twoFactorStatusEl, '✅ ' + data.message, false);
+    await loadTwoFactor();
+  } catch (err) {
+    setStatus(twoFactorStatusEl, '❌ ' + err.message, true);
+    if (err.status === 429) holdButton(e.target.querySelector('button[type="submit"]'), err.retryAfter);
+  }
+});
+
+document.getElementById('recoveryCodesForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const code = document.getElementById('recoveryCodesCode').value.trim();
+
+  try {
+    const data = await api("/api/2fa/recovery-codes", "POST", { code });
+    e.target.reset();
+    showRecoveryCodes(data.recoveryCodes);
+    setStatus(twoFactorStatusEl, '✅ New recovery codes created; the old ones no longer work.', false);
+    await loadTwoFactor();
+  } catch (err) {
+    setStatus(twoFactorStatusEl, '❌ ' + err.message, true);
+    if (err.status === 429) holdButton(e.target.querySelector('button[type="submit"]'), err.retryAfter);
+  }
+});
+
+document.getElementById('twoFactorDisableForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const password = document.getElementById('twoFactorDisablePassword').value;
+  const code = document.getElementById('twoFactorDisableCode').value.trim();
+
+  try {
+    const data = await api("/api/2fa/disable", "POST", { password, code });
+    e.target.reset();
+    document.getElementById('recoveryCodesBox').style.display = 'none';
+    setStatus(twoFactorStatusEl, '✅ ' + data.message, false);
+    await loadTwoFactor();
+  } catch (err) {
+    setStatus(twoFactorStatusEl, '❌ ' + err.message, true);
+    if (err.status === 429) holdButton(e.target.querySelector('button[type="submit"]'), err.retryAfter);
+  }
+});
+
+loadTwoFactor();
+
+// Recent activity from the audit log
+const ACTIVITY_LABELS = {
+  'signup': 'Account created',
+  'signin': 'Sign-in',
+  'signin.2fa': 'Sign-in (authentication code)',
+  'signout': 'Signed out',
+  'signout.all': 'Signed out of all devices',
+  'password.change': 'Password changed',
+  'password.reset_request': 'Password reset requested',
+  'password.reset': 'Password reset',
+  'account.delete': 'Account deletion',
+  'account.restore': 'Account restored',
+  'account.export': 'Data exported',
+  'preferences.update': 'Preferences updated',
+  '2fa.enable': 'Two-factor authentication turned on',
+  '2fa.recovery_codes': 'Recovery codes regenerated',
+  '2fa.disable': 'Two-factor authentication turned off',
+  'admin.lock': 'Account locked by an administrator',
+  'admin.unlock': 'Account unlocked by an administrator',
+  'admin.role': 'Role changed by an administrator',
+  'admin.reset_password': 'Password reset by an administrator',
+  'admin.delete': 'Account deleted by an administrator',
+  'plan.generate': 'Trip plan generated',
+  'plan.regenerate_day': 'Itinerary day regenerated',
+  'trip.delete': 'Trip deleted',
+  'trip.share': 'Trip share link created',
+  'trip.unshare': 'Trip share link revoked',
+  'trip.collaborator_add': 'Trip collaborator added',
+  'trip.collaborator_remove': 'Trip collaborator removed',
+};
+
+const OUTCOME_LABELS = {
+  success: '',
+  failure: 'failed',
+  throttled: 'blocked, too many attempts',
+  error: 'server error',
+  aborted: 'cancelled',
+  second_factor_required: 'waiting for code',
+};
+
+// How events done by someone else read for the account they concern
+const TARGET_LABELS = {
+  'trip.collaborator_add': 'Added to a trip as a collaborator',
+  'trip.collaborator_remove': 'Removed from a trip as a collaborator',
+};
+
+function activityLabel(event) {
+  // Admin and collaborator events appear for both the actor and the
+  // affected account; the affected account only sees what happened
+  if (event.target && event.target.toLowerCase() !== me.userId.toLowerCase()) {
+    if (event.action.startsWith('admin.')) return `${event.action.replace('admin.', 'Admin: ')} ${event.target}`;
+    return `${ACTIVITY_LABELS[event.action] || event.action}: ${event.target}`;
+  }
+  if (event.target && !event.userId) return TARGET_LABELS[event.action] || ACTIVITY_LABELS[event.action] || event.action;
+  return ACTIVITY_LABELS[event.action] || event.action;
+}
+
+async function loadActivity() {
+  const statusEl = document.getElementById('activityStatus');
+  const list = document.getElementById('activityList');
+
+  try {
+    const { events } = await api("/api/activity");
+    if (!events.length) {
+      list.innerHTML = '<li class="empty-state">No activity yet</li>';
+      return;
+    }
+    list.innerHTML = events.map(ev => {
+      const outcome = OUTCOME_LABELS[ev.outcome] ?? ev.outcome;
+      const failed = ['failure', 'throttled', 'error'].includes(ev.outcome);
+      const detail = [ev.destination, outcome, ev.error].filter(Boolean).join(' · ');
+      return `
+        <li class="activity-item ${failed ? 'failure' : ''}">
+          <span class="what">${failed ? '⚠️' : '✓'} ${escapeHtml(activityLabel(ev))}</span>
+          <span class="meta">${escapeHtml(new Date(ev.at).toLocaleString())}</span>
+          <span class="meta">${escapeHtml(detail)}</span>
+          <span class="meta">${escapeHtml(ev.ip || '')}</span>
+        </li>`;
+    }).join('');
+    setStatus(statusEl, '');
+  } catch (err) {
+    setStatus(statusEl, '❌ ' + err.message, true);
+  }
+}
+
+document.getElementById('activityRefresh').addEventListener('click', loadActivity);
+loadActivity();
+
+document.getElementById('signoutAll').addEventListener('click', async () => {
+  if (!confirm('Sign out of every device, including this one?')) {
+    return;
+  }
+
+  const statusEl = document.getElementById('signoutAllStatus');
+
+  try {
+    setStatus(statusEl, 'Signing out everywhere...');
+    const data = await api("/api/signout-all", "POST");
+
+    setStatus(statusEl, `✅ ${data.message}. Redirecting...`, false);
+    renderUserBadge({ signedIn: false });
+    setTimeout(() => { window.location.href = "/"; }, 2000);
   } catch (err) {
     setStatus(statusEl, '❌ ' + err.message, true);
   }
 });
 
+// The server answers with an attachment, so the page stays where it is
+document.getElementById('exportData').addEventListener('click', () => {
+  window.location.href = '/api/account/export';
+});
+
 document.getElementById('deleteForm').addEventListener('submit', async (e) => {
   e.preventDefault();
   
-  if (!confirm('Are you absolutely sure? This cannot be undone!')) {
+  if (!confirm('Delete your account? You will be signed out everywhere.')) {
     return;
   }
 
@@ -489,12 +1454,13 @@ document.getElementById('deleteForm').addEventListener('submit', async (e) => {
 
   try {
     setStatus(statusEl, 'Deleting account...');
-    await api("/api/delete-account", "POST", { password });
+    const data = await api("/api/delete-account", "POST", { password });
 
-    setStatus(statusEl, '✅ Account deleted. Redirecting...', false);
+    setStatus(statusEl, `✅ ${data.message} Redirecting...`, false);
     renderUserBadge({ signedIn: false });
-    setTimeout(() => { window.location.href = "/"; }, 2000);
+    setTimeout(() => { window.location.href = "/"; }, 4000);
   } catch (err) {
     setStatus(statusEl, '❌ ' + err.message, true);
+    if (err.status === 429) holdButton(e.target.querySelector('button[type="submit"]'), err.retryAfter);
   }
 });
\ No newline at end of file
@@ -0,0 +1,71 @@
+// scripts/admin.js
+// Manage admin roles from the command line, e.g. to create the first admin:
+//
+//   npm run admin -- promote alice
+//   npm run admin -- demote alice
+//   npm run admin -- list
+//
+// Works on the same data file as the server, which must be stopped first
+// (the storage lock refuses a second process). While it runs, the server can
+// also promote accounts at startup with ADMIN_USER_IDS=alice,bob.
+
+import fs from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { JsonStorage } from "../lib/storage.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, "..");
+
+const config = JSON.parse(await fs.readFile(path.join(ROOT, "config.json"), "utf-8"));
+const DATA_FILE = path.resolve(ROOT, process.env.DATA_FILE || config.storage?.file || "data/store.json");
+
+const userKey = userId => String(userId).toLowerCase();
+
+const USAGE = "Usage: node scripts/admin.js promote|demote <userId>\n       node scripts/admin.js list";
+
+async function main([command, userId]) {
+    if (!["promote", "demote", "list"].includes(command) || (command !== "list" && !userId)) {
+        console.error(USAGE);
+        return 1;
+    }
+    if (!existsSync(DATA_FILE)) {
+        console.error(`No data file at ${DATA_FILE}. Start the server once to create it.`);
+        return 1;
+    }
+
+    const storage = new JsonStorage({
+        file: DATA_FILE,
+        collections: { users: u => u.userId && userKey(u.userId) },
+    });
+    try {
+        await storage.open();
+    } catch (e) {
+        console.error(e.code === "LOCKED" ? `${e.message}. Stop the server first.` : e.message);
+        return 1;
+    }
+
+    try {
+        if (command === "list") {
+            const admins = storage.list("users", u => u.role === "admin").map(u => u.userId);
+            console.log(admins.length ? admins.join("\n") : "No admins yet");
+            return 0;
+        }
+
+        const role = command === "promote" ? "admin" : "user";
+        const updated = await storage.transaction(tx =>
+            tx.update("users", userKey(userId), { role, updatedAt: new Date().toISOString() })
+        );
+        if (!updated) {
+            console.error(`No such account: ${userId}`);
+            return 1;
+        }
+        console.log(`${updated.userId} is now ${role === "admin" ? "an admin" : "a regular user"}`);
+        return 0;
+    } finally {
+        await storage.close();
+    }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,89 @@
+// scripts/smoke-planner.js
+// Offline check that the planner's prompts, the mock LLM and the plan
+// parser still fit together:
+//
+//   npm run smoke
+//
+// Builds one-city, itinerary and multi-city plans plus a regenerated day
+// through the mock provider and fails on the first mismatch. Needs no
+// network, model or data file.
+
+import assert from "assert/strict";
+import { createLlm } from "../lib/llm.js";
+import { buildDayPrompt, buildPlanPrompt, parseDay, parsePlan, DAY_SLOTS } from "../lib/plan.js";
+
+const llm = createLlm({ llm: { provider: "mock" } }, {});
+
+const TRIPS = {
+    "one city": {
+        destination: "Lisbon, Portugal",
+        startDate: "2030-05-01",
+        endDate: "2030-05-03",
+    },
+    "itinerary": {
+        destination: "Kyoto, Japan",
+        startDate: "2030-04-02",
+        endDate: "2030-04-04",
+        dates: ["2030-04-02", "2030-04-03", "2030-04-04"],
+    },
+    "multi-city": {
+        destination: "Paris → Lyon",
+        startDate: "2030-06-01",
+        endDate: "2030-06-05",
+        legs: [
+            { destination: "Paris, France", startDate: "2030-06-01", endDate: "2030-06-03" },
+            { destination: "Lyon, France", startDate: "2030-06-03", endDate: "2030-06-05" },
+        ],
+        dates: ["2030-06-01", "2030-06-02", "2030-06-03", "2030-06-04", "2030-06-05"],
+    },
+};
+
+async function planTrip(trip) {
+    const { destination, legs, dates } = trip;
+    const options = { ...(legs && { legs }), ...(dates && { dates }) };
+    const task = { kind: "plan", destination, ...options };
+
+    const generated = await llm.generate(buildPlanPrompt(trip), { json: true, task });
+    let streamed = "";
+    const full = await llm.stream(buildPlanPrompt(trip), { json: true, task, onToken: t => (streamed += t) });
+    assert.equal(full, generated, "stream and generate disagree");
+    assert.equal(streamed, full, "streamed tokens do not add up to the response");
+
+    const { plan, errors } = parsePlan(full, options);
+    assert.ok(plan, `plan rejected: ${errors.join("; ")}`);
+    return plan;
+}
+
+async function main() {
+    for (const [name, trip] of Object.entries(TRIPS)) {
+        const plan = await planTrip(trip);
+        assert.ok(plan.attractions.every(a => a.name.startsWith(trip.destination.split(",")[0]) || a.city), `${name}: attractions not named after the trip`);
+
+        if (trip.dates) {
+            assert.deepEqual(plan.itinerary.days.map(d => d.date), trip.dates, `${name}: itinerary dates`);
+        } else {
+            assert.equal(plan.itinerary, undefined, `${name}: unexpected itinerary`);
+        }
+        if (trip.legs) {
+            assert.equal(plan.transit.length, trip.legs.length - 1, `${name}: transit entries`);
+            assert.deepEqual(new Set(plan.attractions.map(a => a.city)), new Set(trip.legs.map(l => l.destination)), `${name}: attraction cities`);
+        }
+
+        if (plan.itinerary) {
+            const date = trip.dates[1];
+            const prompt = buildDayPrompt({ destination: trip.destination, date, attractions: plan.attractions, otherDays: plan.itinerary.days.filter(d => d.date !== date) });
+            const { slots, errors } = parseDay(await llm.generate(prompt, { json: true, task: { kind: "day", destination: trip.destination, date } }));
+            assert.ok(slots, `${name}: day rejected: ${errors.join("; ")}`);
+            assert.ok(DAY_SLOTS.every(slot => slots[slot].length), `${name}: day has empty slots`);
+        }
+        console.log(`ok - ${name}`);
+    }
+
+    await assert.rejects(llm.generate("Plan me a trip", { json: true }), /needs a plan or day task/);
+    console.log("ok - mock refuses prompts without a task");
+}
+
+main().catch(e => {
+    console.error(`not ok - ${e.message}`);
+    process.exitCode = 1;
+});
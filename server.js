@@ -8,125 +8,830 @@ import path from "path";
 import bcrypt from "bcrypt";
 import cors from "cors";
 import bodyParser from "body-parser";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
+import { AuditLog, newAlias } from "./lib/audit.js";
+import { TtlCache } from "./lib/cache.js";
+import { createLlm } from "./lib/llm.js";
+import { DEFAULT_PASSWORD_POLICY, evaluatePassword } from "./public/password-policy.js";
+import { DEFAULT_PREFERENCES, PREFERENCE_OPTIONS, normalizePreferences } from "./public/preferences.js";
+import { createMailer } from "./lib/mailer.js";
+import { buildPackingList, normalizeItem } from "./lib/packing.js";
+import { EXPORT_FORMATS, exportTrip } from "./lib/trip-export.js";
+import { ConcurrencyLimiter, Lockout, formatWait, rateLimit, sendTooMany } from "./lib/rate-limit.js";
+import { FileSessionStore } from "./lib/session-store.js";
+import { generateRecoveryCodes, generateSecret, hashRecoveryCode, otpauthUri, verifyTotp } from "./lib/totp.js";
+import { JsonStorage } from "./lib/storage.js";
+import {
+    buildDayPrompt,
+    buildPlanPrompt,
+    buildRepairPrompt,
+    legOn,
+    normalizeItinerary,
+    parseDay,
+    parsePlan,
+} from "./lib/plan.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const USERS_FILE = path.join(__dirname, "users.json");
+const config = JSON.parse(await fs.readFile(path.join(__dirname, "config.json"), "utf-8"));
+
+const DATA_FILE = path.resolve(__dirname, process.env.DATA_FILE || config.storage?.file || "data/store.json");
+const SESSION_FILE = path.resolve(__dirname, config.session?.file || "data/sessions.json");
+const AUDIT_FILE = path.resolve(__dirname, config.audit?.file || "data/audit.jsonl");
+// Pre-storage JSON files, imported once when the data file is first created
+const LEGACY_USERS_FILE = path.join(__dirname, "users.json");
+const LEGACY_TRIPS_FILE = path.join(__dirname, "trips.json");
 const SALT_ROUNDS = 12;
+const PASSWORD_POLICY = { ...DEFAULT_PASSWORD_POLICY, ...config.passwordPolicy };
+const RESET_TOKEN_TTL_MS = config.passwordReset?.ttlMs || 30 * 60 * 1000;
+// Deleted accounts can be restored for this long (0 deletes immediately)
+const DELETION_GRACE_MS = config.accountDeletion?.graceMs ?? 7 * 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = config.accountDeletion?.purgeIntervalMs || 60 * 60 * 1000;
+// How long a password-verified sign-in waits for its 2FA code
+const TWO_FACTOR_PENDING_MS = 5 * 60 * 1000;
+const TOTP_ISSUER = "Travel Explorer";
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_PLAN_ATTEMPTS = 3;
+// Cities in one multi-city trip
+const MAX_TRIP_LEGS = 6;
+const MAX_PACKING_ITEMS = 300;
+const MAX_COLLABORATORS = 20;
+const MAX_COMMENTS = 500;
+const MAX_COMMENT_LENGTH = 1000;
 
 // Open-Meteo endpoints
 const WX_BASE = "https://api.open-meteo.com/v1/forecast";
 const GEO_BASE = "https://geocoding-api.open-meteo.com/v1/search";
 const AQ_BASE = "https://air-quality-api.open-meteo.com/v1/air-quality";
+const ARCHIVE_BASE = "https://archive-api.open-meteo.com/v1/archive";
+
+// Trip weather: forecast covers the next FORECAST_DAYS days, anything later
+// falls back to climate normals averaged over the previous NORMAL_YEARS years.
+const FORECAST_DAYS = 16;
+const NORMAL_YEARS = 3;
+const MAX_TRIP_DAYS = 30;
+
+// /api/weather limits
+const MAX_FORECAST_HOURS = FORECAST_DAYS * 24;
+const MAX_RANGE_DAYS = 31;
+const ARCHIVE_LAG_DAYS = 5;
+
+// Upstream cache lifetimes: geocoding results practically never change,
+// forecasts refresh every ~15 minutes and air quality hourly.
+const CACHE_TTL = {
+    geocode: 30 * 24 * 60 * 60 * 1000,
+    forecast: 15 * 60 * 1000,
+    airQuality: 60 * 60 * 1000,
+    archive: 7 * 24 * 60 * 60 * 1000,
+    ...config.cache?.ttlMs,
+};
+
+const IS_PRODUCTION = process.env.NODE_ENV === "production";
+// Sessions expire after this long without a request (rolling cookie)
+const SESSION_IDLE_MS = Number(process.env.SESSION_IDLE_MS) || config.session?.idleTimeoutMs || 24 * 60 * 60 * 1000;
+
+const SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET && IS_PRODUCTION) {
+    console.error("SESSION_SECRET must be set when NODE_ENV=production");
+    process.exit(1);
+}
+if (!SESSION_SECRET) {
+    console.warn("SESSION_SECRET is not set; using an insecure development secret.");
+}
+
+// Throttling for password checks and LLM jobs; see lib/rate-limit.js
+const RATE_LIMITS = {
+    auth: { windowMs: 15 * 60 * 1000, max: 30 },
+    authAccount: { windowMs: 15 * 60 * 1000, max: 100 },
+    plan: { windowMs: 60 * 60 * 1000, max: 30 },
+    lockout: { freeAttempts: 5, baseMs: 30 * 1000, maxMs: 15 * 60 * 1000 },
+    maxConcurrentPlans: 1,
+    ...config.rateLimit,
+};
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = process.env.PORT || config.server?.port || 3000;
+// Links in outgoing mail are built from this, never from the request's Host
+// header, which a client can set to anything.
+const PUBLIC_URL = (process.env.PUBLIC_URL || config.server?.publicUrl || `http://localhost:${PORT}`).replace(/\/$/, "");
+const mailer = createMailer(config, { baseDir: __dirname });
+const audit = new AuditLog({ file: AUDIT_FILE });
+const llm = createLlm(config);
+// Trip destinations are looked up with Open-Meteo; mock runs default to the
+// offline stand-in so planning works without a network
+const GEOCODER = process.env.GEOCODER || (llm.name === "mock" ? "offline" : "open-meteo");
+if (!["open-meteo", "offline"].includes(GEOCODER)) {
+    console.error(`Unknown GEOCODER "${GEOCODER}". Use open-meteo or offline.`);
+    process.exit(1);
+}
+const weatherCache = new TtlCache({
+    maxEntries: config.cache?.maxEntries || 500,
+    file: config.cache?.persistFile ? path.join(__dirname, config.cache.persistFile) : null,
+});
+
+// Behind a reverse proxy, trust its X-Forwarded-* headers so req.secure and
+// the client IP reflect the original request.
+// Accepts true/false, a hop count or a list of proxy addresses.
+function parseTrustProxy(value) {
+    if (value === "true") return true;
+    if (value === "false" || value === "") return false;
+    if (typeof value === "string" && /^\d+$/.test(value)) return Number(value);
+    return value;
+}
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY ?? config.server?.trustProxy ?? false));
 
-app.use(cors({ origin: true, credentials: true }));
+const sessionStore = new FileSessionStore({
+    file: SESSION_FILE,
+    pruneIntervalMs: config.session?.pruneIntervalMs,
+});
+
+// Cross-origin callers must be listed explicitly; the app's own origin is
+// always allowed.
+const ALLOWED_ORIGINS = new Set(
+    (process.env.ALLOWED_ORIGINS?.split(",") ?? config.server?.allowedOrigins ?? [])
+        .map(o => o.trim().replace(/\/$/, ""))
+        .filter(Boolean)
+);
+
+function isAllowedOrigin(req) {
+    const origin = req.get("Origin");
+    if (!origin) return true;
+    return origin === `${req.protocol}://${req.get("Host")}` || ALLOWED_ORIGINS.has(origin);
+}
+
+app.use(cors((req, cb) => cb(null, { origin: isAllowedOrigin(req), credentials: true })));
 app.use(bodyParser.json());
 app.use(express.static(path.join(__dirname, "public")));
 
 app.use(
     session({
-        secret: process.env.SESSION_SECRET || "change_this_in_prod",
+        secret: SESSION_SECRET || "dev_only_session_secret",
+        store: sessionStore,
         resave: false,
         saveUninitialized: false,
-        cookie: { httpOnly: true, sameSite: "lax" },
+        rolling: true,
+        cookie: {
+            httpOnly: true,
+            sameSite: "lax",
+            // "auto" marks the cookie Secure whenever the request came in
+            // over HTTPS, including through a trusted proxy.
+            secure: "auto",
+            maxAge: SESSION_IDLE_MS,
+        },
     })
 );
 
 // ============================================================================
-// FILE SYSTEM HELPERS
+// CSRF PROTECTION
 // ============================================================================
 
-async function ensureUsersFile() {
-    try {
-        await fs.access(USERS_FILE);
-    } catch {
-        await fs.writeFile(USERS_FILE, JSON.stringify({ users: [] }, null, 2), "utf-8");
+// Each session gets a random token, handed out by /api/me and sign-in. Every
+// state-changing /api request must echo it in X-CSRF-Token and, when the
+// browser sends an Origin, come from an allowed origin.
+//
+// Anonymous visitors get no session: their token is signed with the session
+// secret and kept in a cookie instead (double submit), so page loads by
+// visitors who never sign in don't write to the session store.
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+const CSRF_COOKIE = "csrf";
+
+function csrfToken(req, res) {
+    if (!req.session.userId && !req.session.pendingTwoFactor) return anonymousCsrfToken(req, res);
+    if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString("base64url");
+    return req.session.csrfToken;
+}
+
+function signCsrf(nonce) {
+    return crypto.createHmac("sha256", SESSION_SECRET || "dev_only_session_secret").update(`csrf:${nonce}`).digest("base64url");
+}
+
+// The cookie's token when its signature holds, so a cookie planted by
+// another site on a shared parent domain is useless without the secret
+function cookieCsrfToken(req) {
+    const token = readCookie(req, CSRF_COOKIE);
+    const [nonce, signature] = String(token || "").split(".");
+    return nonce && tokensMatch(signature, signCsrf(nonce)) ? token : null;
+}
+
+function anonymousCsrfToken(req, res) {
+    const existing = cookieCsrfToken(req);
+    if (existing) return existing;
+
+    const nonce = crypto.randomBytes(24).toString("base64url");
+    const token = `${nonce}.${signCsrf(nonce)}`;
+    res.cookie(CSRF_COOKIE, token, { httpOnly: true, sameSite: "lax", secure: req.secure });
+    return token;
+}
+
+function readCookie(req, name) {
+    for (const part of String(req.get("Cookie") || "").split(";")) {
+        const eq = part.indexOf("=");
+        if (eq !== -1 && part.slice(0, eq).trim() === name) return part.slice(eq + 1).trim();
+    }
+    return null;
+}
+
+function tokensMatch(a, b) {
+    const x = Buffer.from(String(a || ""));
+    const y = Buffer.from(String(b || ""));
+    return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+app.use("/api", (req, res, next) => {
+    if (SAFE_METHODS.has(req.method)) return next();
+
+    if (!isAllowedOrigin(req)) {
+        return res.status(403).json({ error: "Origin not allowed" });
+    }
+    if (!tokensMatch(req.get("X-CSRF-Token"), req.session.csrfToken || cookieCsrfToken(req))) {
+        return res.status(403).json({ error: "Invalid or missing CSRF token", code: "CSRF" });
+    }
+    next();
+});
+
+// ============================================================================
+// STORAGE HELPERS
+// ============================================================================
+
+// User ids are unique regardless of case, so users are keyed by the
+// lowercased id while the record keeps the spelling chosen at signup.
+const userKey = userId => String(userId).toLowerCase();
+
+const storage = new JsonStorage({
+    file: DATA_FILE,
+    collections: {
+        users: u => u.userId && userKey(u.userId),
+        trips: t => t.id,
+        resetTokens: t => t.tokenHash,
+        preferences: p => p.userId && userKey(p.userId),
+    },
+});
+
+function findUser(userId) {
+    return storage.get("users", userKey(userId));
+}
+
+// Accounts created before roles existed have none and are plain users
+const ROLES = ["user", "admin"];
+const roleOf = user => user?.role || "user";
+
+// Stored preferences over the defaults; accounts that never saved any get
+// the defaults.
+function preferencesFor(userId) {
+    const { userId: _, updatedAt, ...saved } = storage.get("preferences", userKey(userId)) || {};
+    return { ...DEFAULT_PREFERENCES, ...saved };
+}
+
+function findUserByEmail(email) {
+    const wanted = String(email).toLowerCase();
+    return storage.list("users", u => u.email === wanted)[0] || null;
+}
+
+// Reset tokens are only stored hashed, so a leaked data file can't be used
+// to take over accounts.
+const hashToken = token => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Works against storage or a transaction; both expose get()
+function findOwnTrip(source, userId, tripId) {
+    const trip = source.get("trips", String(tripId));
+    return trip && trip.userId === userId ? trip : null;
+}
+
+// Collaborators can view a trip, comment on it and edit its packing list and
+// itinerary. Renaming, deleting and sharing stay with the owner.
+function isCollaborator(trip, userId) {
+    return (trip.collaborators || []).some(c => userKey(c.userId) === userKey(userId));
+}
+
+// { trip, role } for the owner or a collaborator, otherwise null
+function findTripAccess(source, userId, tripId) {
+    const trip = source.get("trips", String(tripId));
+    if (!trip) return null;
+    if (trip.userId === userId) return { trip, role: "owner" };
+    return isCollaborator(trip, userId) ? { trip, role: "collaborator" } : null;
+}
+
+const MAX_TRIP_HISTORY = 100;
+
+// Who changed what on a shared trip, oldest first and capped
+function withChange(trip, userId, action, detail = {}) {
+    const entry = { at: new Date().toISOString(), userId, action, ...detail };
+    return [...(trip.history || []), entry].slice(-MAX_TRIP_HISTORY);
+}
+
+async function saveTrip(userId, { destination, startDate, endDate, mode, legs, weather, plan }) {
+    const now = new Date().toISOString();
+    const trip = {
+        id: crypto.randomUUID(),
+        userId,
+        name: `${destination} (${startDate} → ${endDate})`,
+        destination,
+        startDate,
+        endDate,
+        mode,
+        legs,
+        weather,
+        plan,
+        packingList: plan ? buildPackingList({ plan, weather }) : null,
+        createdAt: now,
+        updatedAt: now
+    };
+    return storage.transaction(tx => tx.insert("trips", trip));
+}
+
+// Remove an account and everything it owns in one write, then end all of
+// its sessions and forget its activity. Every per-user store is listed here.
+// Other people's trips and the audit log keep who did what under one alias;
+// it is returned, and events recorded afterwards about the deletion must
+// use it too.
+async function deleteAccount(userId) {
+    const alias = newAlias();
+    const mine = id => id != null && userKey(id) === userKey(userId);
+    const aliased = (record, fields) => ({ ...record, ...Object.fromEntries(fields.filter(f => mine(record[f])).map(f => [f, alias])) });
+
+    await storage.transaction(tx => {
+        tx.remove("users", userKey(userId));
+        for (const trip of tx.list("trips", t => t.userId === userId)) {
+            tx.remove("trips", trip.id);
+        }
+        for (const t of tx.list("resetTokens", t => t.userId === userId)) {
+            tx.remove("resetTokens", t.tokenHash);
+        }
+        tx.remove("preferences", userKey(userId));
+        // Trips shared with them lose them as a collaborator, and their
+        // comments; change history and packing attribution name the alias
+        const involved = t => t.userId !== userId && (
+            isCollaborator(t, userId) ||
+            t.comments?.some(c => c.userId === userId) ||
+            t.history?.some(h => mine(h.userId) || mine(h.collaborator)) ||
+            t.packingList?.items.some(i => mine(i.addedBy) || mine(i.checkedBy))
+        );
+        for (const trip of tx.list("trips", involved)) {
+            tx.update("trips", trip.id, {
+                collaborators: (trip.collaborators || []).filter(c => !mine(c.userId)),
+                comments: (trip.comments || []).filter(c => c.userId !== userId),
+                history: trip.history?.map(h => aliased(h, ["userId", "collaborator"])),
+                packingList: trip.packingList && {
+                    ...trip.packingList,
+                    items: trip.packingList.items.map(i => aliased(i, ["addedBy", "checkedBy"])),
+                },
+            });
+        }
+    });
+    await sessionStore.destroyByUser(userId);
+    return audit.forget(userId, alias);
+}
+
+// Permanently delete accounts whose grace period is over
+async function purgeDeletedAccounts() {
+    const now = new Date().toISOString();
+    const due = storage.list("users", u => u.deleteAfter && u.deleteAfter <= now);
+    for (const user of due) {
+        await deleteAccount(user.userId);
+    }
+    if (due.length) console.log(`Purged ${due.length} deleted ${due.length === 1 ? "account" : "accounts"}`);
+}
+
+const formatDay = iso => new Date(iso).toISOString().slice(0, 10);
+
+function tripSummary(trip) {
+    const { answer, plan, weather, packingList, comments, history, shareToken, ...rest } = trip;
+    return rest;
+}
+
+// Trips saved before checklists existed get one built from their plan; it
+// is stored on the first change.
+function packingListFor(trip) {
+    return trip.packingList || (trip.plan ? buildPackingList(trip) : null);
+}
+
+// Only the owner sees the share link
+function tripForViewer(trip, role) {
+    const { shareToken, ...rest } = trip;
+    return { ...(role === "owner" ? trip : rest), packingList: packingListFor(trip), role };
+}
+
+// What a share link shows: the plan, without ids or who works on the trip
+function sharedTripView(trip) {
+    const { name, destination, startDate, endDate, mode, legs, weather, plan, answer } = trip;
+    return { name, destination, startDate, endDate, mode, legs, weather, plan, answer, packingList: packingListFor(trip) };
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Structure only; destinations are checked against the geocoder by
+// resolveTripLegs. A trip is either one { destination, startDate, endDate }
+// or an ordered list of such legs for a multi-city trip. Legs may carry the
+// latitude/longitude (and name, country, timezone) of a place the client
+// already resolved, which skips the lookup.
+function validateTripInput(body) {
+    const { mode } = body || {};
+    const legs = Array.isArray(body?.legs) ? body.legs : [body || {}];
+    if (!legs.length) return { error: "Missing trip information" };
+    if (legs.length > MAX_TRIP_LEGS) return { error: `A trip can have at most ${MAX_TRIP_LEGS} cities` };
+
+    for (const [i, leg] of legs.entries()) {
+        const { destination, startDate, endDate } = leg || {};
+        if (!String(destination || "").trim() || !startDate || !endDate) return { error: "Missing trip information" };
+        if (String(destination).length > 200) return { error: "Destination is too long" };
+        if (!ISO_DATE.test(startDate) || !ISO_DATE.test(endDate)) return { error: "Dates must be YYYY-MM-DD" };
+        if (endDate < startDate) return { error: "End date must be on or after start date" };
+        // The next city may start on the day the previous one ends (travel day)
+        if (i > 0 && startDate < legs[i - 1].endDate) {
+            return { error: `${String(destination).trim()} starts before the previous city ends` };
+        }
     }
+
+    const days = Math.round((Date.parse(legs[legs.length - 1].endDate) - Date.parse(legs[0].startDate)) / 86400000) + 1;
+    if (days > MAX_TRIP_DAYS) return { error: `Trips can be at most ${MAX_TRIP_DAYS} days long` };
+
+    return {
+        trip: {
+            legs: legs.map(l => ({
+                destination: String(l.destination).trim(),
+                startDate: l.startDate,
+                endDate: l.endDate,
+                place: knownPlace(l),
+            })),
+            startDate: legs[0].startDate,
+            endDate: legs[legs.length - 1].endDate,
+            mode: mode === "itinerary" ? "itinerary" : "recommendations",
+        },
+    };
 }
 
-async function readUsers() {
-    await ensureUsersFile();
-    const raw = await fs.readFile(USERS_FILE, "utf-8");
-    const data = JSON.parse(raw || "{}");
-    if (!Array.isArray(data.users)) data.users = [];
-    return data.users;
+// A resolved place sent with a leg, or null when there is none or it is
+// malformed (the destination is then looked up as usual)
+function knownPlace({ destination, latitude, longitude, name, country, timezone }) {
+    if (typeof latitude !== "number" || typeof longitude !== "number") return null;
+    if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) return null;
+    const label = String(destination).trim();
+    return {
+        label,
+        name: String(name || label.split(",")[0]).trim().slice(0, 100),
+        country: country ? String(country).slice(0, 100) : null,
+        latitude,
+        longitude,
+        timezone: isTimeZone(timezone) ? timezone : null,
+    };
 }
 
-async function writeUsers(users) {
-    await fs.writeFile(USERS_FILE, JSON.stringify({ users }, null, 2), "utf-8");
+function isTimeZone(value) {
+    if (typeof value !== "string" || !value) return false;
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: value });
+        return true;
+    } catch {
+        return false;
+    }
 }
 
 function sanitizeId(id) {
     return String(id || "").trim();
 }
 
+// Same rules the browser's strength meter shows (public/password-policy.js)
+function passwordError(password, userId) {
+    const { ok, errors } = evaluatePassword(password, { userId, policy: PASSWORD_POLICY });
+    return ok ? null : { error: `Password too weak: ${errors.join("; ")}.`, errors };
+}
+
 // ============================================================================
 // WEATHER API HELPERS
 // ============================================================================
 
-async function resolveLocation({ city, lat, lon }) {
+// ~100 m precision; nearby requests share one cache entry
+function roundCoord(v) {
+    return Math.round(Number(v) * 1000) / 1000;
+}
+
+// Fetch JSON through the weather cache. When the upstream is down and an
+// expired copy exists, it is returned with stale: true.
+async function cachedJson(key, ttlMs, url, what) {
+    const { value, stale } = await weatherCache.wrap(key, ttlMs, async () => {
+        const r = await fetch(url);
+        if (!r.ok) throw new Error(`${what} failed: ${r.status} ${r.statusText}`);
+        return r.json();
+    });
+    return stale ? { ...value, stale: true } : value;
+}
+
+// Ranked candidates for a place name: exact name matches first, then larger
+// populations, otherwise the geocoder's own relevance order.
+async function searchLocations(name, count = 10) {
+    const query = String(name || "").trim();
+    const url = `${GEO_BASE}?name=${encodeURIComponent(query)}&count=${count}&language=en&format=json`;
+    const key = `geo:${query.toLowerCase().replace(/\s+/g, " ")}:${count}`;
+    const data = await cachedJson(key, CACHE_TTL.geocode, url, "Geocoding");
+
+    const exact = x => String(x.name || "").toLowerCase() === query.toLowerCase();
+    return (data.results || [])
+        .map((x, i) => ({ x, i }))
+        .sort((a, b) => (exact(b.x) - exact(a.x)) || ((b.x.population || 0) - (a.x.population || 0)) || (a.i - b.i))
+        .map(({ x }, i) => ({
+            rank: i + 1,
+            name: x.name,
+            admin1: x.admin1 || null,
+            admin2: x.admin2 || null,
+            country: x.country || null,
+            country_code: x.country_code || null,
+            latitude: x.latitude,
+            longitude: x.longitude,
+            population: x.population ?? null,
+            timezone: x.timezone || null,
+            label: [x.name, x.admin1, x.country].filter(Boolean).join(", "),
+        }));
+}
+
+async function resolveLocation({ city, lat, lon, label }) {
     if (Number.isFinite(lat) && Number.isFinite(lon)) {
-        return { lat, lon, label: `Latitude: ${lat}, Longitude: ${lon}` };
+        return { lat, lon, label: label || `Latitude: ${lat}, Longitude: ${lon}` };
     }
     if (city) {
-        const url = `${GEO_BASE}?name=${encodeURIComponent(city)}&count=1&language=en&format=json`;
-        const r = await fetch(url);
-        if (!r.ok) throw new Error(`Geocoding failed: ${r.status}`);
-        const data = await r.json();
-        if (!data.results?.length) throw new Error(`City not found: ${city}`);
-        const x = data.results[0];
-        return {
-            lat: x.latitude,
-            lon: x.longitude,
-            label: [x.name, x.admin1, x.country].filter(Boolean).join(", "),
-        };
+        const [best] = await searchLocations(city);
+        if (!best) throw new Error(`City not found: ${city}`);
+        return { lat: best.latitude, lon: best.longitude, label: best.label };
     }
     // Default: Austin, TX
     return { lat: 30.2672, lon: -97.7431, label: "Austin, TX, United States" };
 }
 
-async function fetchWeather(lat, lon, timezone = "auto") {
+const COUNTRY_ALIASES = { usa: "us", "united states of america": "us", uk: "gb", "united kingdom": "gb", england: "gb" };
+
+// Free-text destination -> best geocoder match, or null. The geocoder only
+// searches place names, so "Paris, France" looks up "Paris" and prefers
+// results whose region or country match the rest.
+async function geocodeDestination(text) {
+    const [name, ...qualifiers] = String(text).split(",").map(p => p.trim()).filter(Boolean);
+    if (!name) return null;
+    const results = await searchLocations(name);
+
+    const matches = place => qualifiers.every(q => {
+        const want = q.toLowerCase();
+        const code = COUNTRY_ALIASES[want] || want;
+        return [place.country, place.admin1, place.admin2].some(v => v?.toLowerCase().startsWith(want)) ||
+            place.country_code?.toLowerCase() === code;
+    });
+    return results.find(matches) || results[0] || null;
+}
+
+// Offline stand-in for geocodeDestination: the typed text is taken as the
+// place, at coordinates derived from it so the same text always lands on the
+// same spot. Nothing is rejected, since there is nothing to check against.
+function offlinePlace(text) {
+    const parts = String(text).split(",").map(p => p.trim()).filter(Boolean);
+    if (!parts.length) return null;
+    const hash = crypto.createHash("sha256").update(parts[0].toLowerCase()).digest();
+    return {
+        name: parts[0],
+        country: parts.length > 1 ? parts[parts.length - 1] : null,
+        latitude: roundCoord((hash.readUInt16BE(0) / 0xffff) * 120 - 60),
+        longitude: roundCoord((hash.readUInt16BE(2) / 0xffff) * 360 - 180),
+        timezone: null,
+        label: parts.join(", "),
+    };
+}
+
+const HOURLY_VARS = [
+    "temperature_2m",
+    "apparent_temperature",
+    "relative_humidity_2m",
+    "visibility",
+    "uv_index",
+    "precipitation_probability",
+    "precipitation",
+    "cloud_cover",
+    "wind_speed_10m",
+    "wind_gusts_10m",
+    "wind_direction_10m",
+    "weather_code",
+    "is_day",
+];
+
+const DAILY_VARS = [
+    "temperature_2m_min",
+    "temperature_2m_max",
+    "apparent_temperature_min",
+    "apparent_temperature_max",
+    "precipitation_probability_max",
+    "precipitation_sum",
+    "sunrise",
+    "sunset",
+    "uv_index_max",
+    "cloud_cover_mean",
+    "wind_speed_10m_max",
+    "wind_gusts_10m_max",
+    "wind_direction_10m_dominant",
+    "weather_code",
+];
+
+const CURRENT_VARS = [
+    "temperature_2m",
+    "apparent_temperature",
+    "relative_humidity_2m",
+    "uv_index",
+    "precipitation",
+    "cloud_cover",
+    "wind_speed_10m",
+    "wind_gusts_10m",
+    "wind_direction_10m",
+    "weather_code",
+    "is_day",
+];
+
+// The archive (reanalysis) has no probabilities, visibility or UV
+const ARCHIVE_HOURLY_VARS = HOURLY_VARS.filter(v => !["visibility", "uv_index", "precipitation_probability"].includes(v));
+const ARCHIVE_DAILY_VARS = DAILY_VARS.filter(v => !["precipitation_probability_max", "uv_index_max", "cloud_cover_mean"].includes(v));
+
+// Forecast for the next `days` days, or for an explicit date range inside
+// the forecast horizon.
+async function fetchWeather(lat, lon, timezone = "auto", { days = 7, startDate, endDate } = {}) {
+    lat = roundCoord(lat);
+    lon = roundCoord(lon);
+    const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lon,
+        timezone,
+        hourly: HOURLY_VARS.join(","),
+        daily: DAILY_VARS.join(","),
+        current: CURRENT_VARS.join(","),
+    });
+    if (startDate && endDate) {
+        params.set("start_date", startDate);
+        params.set("end_date", endDate);
+    } else {
+        params.set("forecast_days", String(days));
+    }
+    const key = `wx:${lat},${lon}:${timezone}:${startDate ? `${startDate}..${endDate}` : days}`;
+    return cachedJson(key, CACHE_TTL.forecast, `${WX_BASE}?${params.toString()}`, "Forecast");
+}
+
+async function fetchHistoricalWeather(lat, lon, timezone, startDate, endDate) {
+    lat = roundCoord(lat);
+    lon = roundCoord(lon);
     const params = new URLSearchParams({
         latitude: lat,
         longitude: lon,
         timezone,
-        hourly: [
-            "temperature_2m",
-            "relative_humidity_2m",
-            "visibility",
-            "uv_index",
-            "precipitation_probability",
-        ].join(","),
-        daily: [
-            "temperature_2m_min",
-            "temperature_2m_max",
-            "precipitation_probability_max",
-            "sunrise",
-            "sunset",
-            "uv_index_max",
-        ].join(","),
-        current: ["temperature_2m", "relative_humidity_2m", "uv_index"].join(","),
+        start_date: startDate,
+        end_date: endDate,
+        hourly: ARCHIVE_HOURLY_VARS.join(","),
+        daily: ARCHIVE_DAILY_VARS.join(","),
     });
-    const r = await fetch(`${WX_BASE}?${params.toString()}`);
-    if (!r.ok) throw new Error(`Forecast failed: ${r.status} ${r.statusText}`);
-    return r.json();
+    const key = `history:${lat},${lon}:${timezone}:${startDate}..${endDate}`;
+    return cachedJson(key, CACHE_TTL.archive, `${ARCHIVE_BASE}?${params.toString()}`, "Archive");
 }
 
 async function fetchAirQuality(lat, lon, timezone = "auto") {
+    lat = roundCoord(lat);
+    lon = roundCoord(lon);
     const params = new URLSearchParams({
         latitude: lat,
         longitude: lon,
         timezone,
         hourly: ["us_aqi", "pm2_5"].join(","),
     });
-    const r = await fetch(`${AQ_BASE}?${params.toString()}`);
-    if (!r.ok) throw new Error(`Air quality failed: ${r.status} ${r.statusText}`);
-    return r.json();
+    const key = `aq:${lat},${lon}:${timezone}`;
+    return cachedJson(key, CACHE_TTL.airQuality, `${AQ_BASE}?${params.toString()}`, "Air quality");
+}
+
+async function fetchArchiveDaily(lat, lon, startDate, endDate) {
+    lat = roundCoord(lat);
+    lon = roundCoord(lon);
+    const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lon,
+        timezone: "auto",
+        start_date: startDate,
+        end_date: endDate,
+        daily: ["temperature_2m_min", "temperature_2m_max", "precipitation_sum"].join(","),
+    });
+    const key = `archive:${lat},${lon}:${startDate}:${endDate}`;
+    return cachedJson(key, CACHE_TTL.archive, `${ARCHIVE_BASE}?${params.toString()}`, "Archive");
+}
+
+function addDays(isoDate, n) {
+    const d = new Date(`${isoDate}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().slice(0, 10);
+}
+
+function dateRange(startDate, endDate) {
+    const days = [];
+    for (let d = startDate; d <= endDate && days.length < MAX_TRIP_DAYS; d = addDays(d, 1)) {
+        days.push(d);
+    }
+    return days;
+}
+
+function shiftYears(isoDate, years) {
+    const y = Number(isoDate.slice(0, 4)) - years;
+    const md = isoDate.slice(5) === "02-29" ? "02-28" : isoDate.slice(5);
+    return `${y}-${md}`;
+}
+
+// Average the same calendar dates over previous years. Rain chance is the
+// share of years with at least 1 mm of precipitation on that date.
+async function fetchClimateNormals(lat, lon, dates) {
+    const years = [];
+    for (let k = 1; k <= NORMAL_YEARS; k++) years.push(k);
+
+    const archives = await Promise.all(
+        years.map(k =>
+            fetchArchiveDaily(lat, lon, shiftYears(dates[0], k), shiftYears(dates[dates.length - 1], k)).catch(() => null)
+        )
+    );
+
+    return dates.map(date => {
+        const samples = [];
+        archives.forEach((a, i) => {
+            const idx = a?.daily?.time?.indexOf(shiftYears(date, years[i])) ?? -1;
+            if (idx === -1) return;
+            samples.push({
+                min: num(a.daily.temperature_2m_min?.[idx]),
+                max: num(a.daily.temperature_2m_max?.[idx]),
+                precip: num(a.daily.precipitation_sum?.[idx]),
+            });
+        });
+        const avg = key => {
+            const vals = samples.map(x => x[key]).filter(v => v != null);
+            return vals.length ? Math.round((vals.reduce((a, b) => a + b, 0) / vals.length) * 10) / 10 : null;
+        };
+        const wet = samples.filter(x => x.precip != null);
+        return {
+            date,
+            source: "climate",
+            min_c: avg("min"),
+            max_c: avg("max"),
+            precip_prob_max: wet.length ? Math.round((wet.filter(x => x.precip >= 1).length / wet.length) * 100) : null,
+            precip_mm: avg("precip"),
+            uv_index_max: null,
+            us_aqi_max: null,
+        };
+    });
+}
+
+function dailyAqiMax(aq) {
+    const times = aq?.hourly?.time || [];
+    const us = aq?.hourly?.us_aqi || [];
+    const byDate = {};
+    times.forEach((t, i) => {
+        const v = num(us[i]);
+        if (v == null) return;
+        const date = String(t).slice(0, 10);
+        byDate[date] = Math.max(byDate[date] ?? -Infinity, v);
+    });
+    return byDate;
+}
+
+// Weather for each day of a trip: real forecast where the trip overlaps the
+// forecast window, climate normals for the rest.
+async function buildTripWeather({ destination, latitude, longitude }, startDate, endDate) {
+    const meta = await resolveLocation({ lat: latitude, lon: longitude, label: destination });
+    const dates = dateRange(startDate, endDate);
+
+    const [wx, aq] = await Promise.all([
+        fetchWeather(meta.lat, meta.lon, "auto", { days: FORECAST_DAYS }).catch(() => null),
+        fetchAirQuality(meta.lat, meta.lon).catch(() => null),
+    ]);
+
+    const forecastDays = {};
+    (wx?.daily?.time || []).slice(0, FORECAST_DAYS).forEach((date, i) => {
+        forecastDays[date] = {
+            date,
+            source: "forecast",
+            min_c: num(wx.daily.temperature_2m_min?.[i]),
+            max_c: num(wx.daily.temperature_2m_max?.[i]),
+            precip_prob_max: num(wx.daily.precipitation_probability_max?.[i]),
+            precip_mm: null,
+            uv_index_max: num(wx.daily.uv_index_max?.[i]),
+            us_aqi_max: null,
+        };
+    });
+
+    const missing = dates.filter(d => !forecastDays[d]);
+    const normals = missing.length ? await fetchClimateNormals(meta.lat, meta.lon, missing) : [];
+    const normalsByDate = Object.fromEntries(normals.map(d => [d.date, d]));
+    const aqiByDate = dailyAqiMax(aq);
+
+    const days = dates.map(date => {
+        const day = forecastDays[date] || normalsByDate[date];
+        if (aqiByDate[date] != null) day.us_aqi_max = aqiByDate[date];
+        return day;
+    });
+
+    const sources = new Set(days.map(d => d.source));
+    return {
+        location: meta.label,
+        latitude: meta.lat,
+        longitude: meta.lon,
+        timezone: wx?.timezone || null,
+        source: sources.size > 1 ? "mixed" : [...sources][0],
+        stale: !!(wx?.stale || aq?.stale),
+        days,
+    };
 }
 
 function currentLocalHourKey(timezone) {
@@ -152,18 +857,29 @@ function currentLocalHourKey(timezone) {
     }
 }
 
-function normalizeData(wx, aq, meta) {
+// hours/days bound the hourly and daily series. For live forecasts the
+// hourly series starts at the current hour; for date ranges (fromNow false)
+// it starts at the first hour of the range and current is left empty.
+function normalizeData(wx, aq, meta, { hours = 24, days = 7, fromNow = true, range = null } = {}) {
     const nowMs = Date.now();
 
     const hourlyTimes = wx.hourly?.time || [];
     const hourlyTemp = wx.hourly?.temperature_2m || [];
+    const hourlyFeels = wx.hourly?.apparent_temperature || [];
     const hourlyHum = wx.hourly?.relative_humidity_2m || [];
     const hourlyVis = wx.hourly?.visibility || [];
     const hourlyUv = wx.hourly?.uv_index || [];
     const hourlyProb = wx.hourly?.precipitation_probability || [];
+    const hourlyPrecip = wx.hourly?.precipitation || [];
+    const hourlyCloud = wx.hourly?.cloud_cover || [];
+    const hourlyWind = wx.hourly?.wind_speed_10m || [];
+    const hourlyGust = wx.hourly?.wind_gusts_10m || [];
+    const hourlyDir = wx.hourly?.wind_direction_10m || [];
+    const hourlyCode = wx.hourly?.weather_code || [];
+    const hourlyIsDay = wx.hourly?.is_day || [];
 
     let nowIndex = 0;
-    if (hourlyTimes.length) {
+    if (hourlyTimes.length && fromNow) {
         const keyNow = currentLocalHourKey(wx.timezone);
         if (keyNow) {
             const i = hourlyTimes.findIndex(t => String(t).slice(0, 13) === keyNow);
@@ -171,47 +887,83 @@ function normalizeData(wx, aq, meta) {
         }
     }
 
-    const hourly24 = [];
-    for (let k = 0; k < 24 && nowIndex + k < hourlyTimes.length; k++) {
+    const hourly = [];
+    for (let k = 0; k < hours && nowIndex + k < hourlyTimes.length; k++) {
         const i = nowIndex + k;
-        hourly24.push({
+        hourly.push({
             time: hourlyTimes[i],
             temp_c: num(hourlyTemp[i]),
+            feels_like_c: num(hourlyFeels[i]),
             humidity: num(hourlyHum[i]),
             visibility_m: num(hourlyVis[i]),
             uv_index: num(hourlyUv[i]),
             precip_prob: num(hourlyProb[i]),
+            precip_mm: num(hourlyPrecip[i]),
+            cloud_cover: num(hourlyCloud[i]),
+            wind_kmh: num(hourlyWind[i]),
+            gust_kmh: num(hourlyGust[i]),
+            wind_dir: num(hourlyDir[i]),
+            weather_code: num(hourlyCode[i]),
+            is_day: num(hourlyIsDay[i]),
         });
     }
 
     const dTimes = wx.daily?.time || [];
     const tmin = wx.daily?.temperature_2m_min || [];
     const tmax = wx.daily?.temperature_2m_max || [];
+    const dFeelsMin = wx.daily?.apparent_temperature_min || [];
+    const dFeelsMax = wx.daily?.apparent_temperature_max || [];
     const dProb = wx.daily?.precipitation_probability_max || [];
+    const dPrecip = wx.daily?.precipitation_sum || [];
     const dSunrise = wx.daily?.sunrise || [];
     const dSunset = wx.daily?.sunset || [];
     const dUvMax = wx.daily?.uv_index_max || [];
-
-    const daily7 = [];
-    for (let i = 0; i < Math.min(7, dTimes.length); i++) {
-        daily7.push({
+    const dCloud = wx.daily?.cloud_cover_mean || [];
+    const dWind = wx.daily?.wind_speed_10m_max || [];
+    const dGust = wx.daily?.wind_gusts_10m_max || [];
+    const dDir = wx.daily?.wind_direction_10m_dominant || [];
+    const dCode = wx.daily?.weather_code || [];
+
+    const daily = [];
+    for (let i = 0; i < Math.min(days, dTimes.length); i++) {
+        daily.push({
             date: dTimes[i],
             min_c: num(tmin[i]),
             max_c: num(tmax[i]),
+            feels_like_min_c: num(dFeelsMin[i]),
+            feels_like_max_c: num(dFeelsMax[i]),
             precip_prob_max: num(dProb[i]),
+            precip_sum_mm: num(dPrecip[i]),
             sunrise: dSunrise[i] || null,
             sunset: dSunset[i] || null,
             uv_index_max: num(dUvMax[i]),
+            cloud_cover: num(dCloud[i]),
+            wind_max_kmh: num(dWind[i]),
+            gust_max_kmh: num(dGust[i]),
+            wind_dir: num(dDir[i]),
+            weather_code: num(dCode[i]),
         });
     }
 
+    // Prefer Open-Meteo's "current" block, fall back to the matching hour
     const idx = hourlyTimes.length ? nowIndex : null;
+    const cur = wx.current || {};
+    const pick = (value, series) => num(value) ?? (idx != null ? num(series[idx]) : null);
     const current = {
+        temp_c: pick(cur.temperature_2m, hourlyTemp),
+        feels_like_c: pick(cur.apparent_temperature, hourlyFeels),
         humidity: idx != null ? num(hourlyHum[idx]) : null,
         visibility_m: idx != null ? num(hourlyVis[idx]) : null,
         uv_index: idx != null ? num(hourlyUv[idx]) : null,
-        sunrise: daily7[0]?.sunrise || null,
-        sunset: daily7[0]?.sunset || null,
+        precip_mm: pick(cur.precipitation, hourlyPrecip),
+        cloud_cover: pick(cur.cloud_cover, hourlyCloud),
+        wind_kmh: pick(cur.wind_speed_10m, hourlyWind),
+        gust_kmh: pick(cur.wind_gusts_10m, hourlyGust),
+        wind_dir: pick(cur.wind_direction_10m, hourlyDir),
+        weather_code: pick(cur.weather_code, hourlyCode),
+        is_day: pick(cur.is_day, hourlyIsDay),
+        sunrise: daily[0]?.sunrise || null,
+        sunset: daily[0]?.sunset || null,
         air_quality: nearestAirQuality(aq, nowMs),
     };
 
@@ -221,9 +973,10 @@ function normalizeData(wx, aq, meta) {
         longitude: meta.lon,
         timezone: wx.timezone,
         generated_at: new Date().toISOString(),
-        current,
-        hourly24,
-        daily7,
+        range,
+        current: fromNow ? current : null,
+        hourly,
+        daily,
     };
 }
 
@@ -264,59 +1017,365 @@ function num(v) {
 }
 
 // ============================================================================
-// OLLAMA AI HELPER
+// LLM HELPERS
 // ============================================================================
 
-async function askOllama(prompt) {
-    const body = {
-        model: "llama3",
-        prompt,
-        stream: false,
-        options: { temperature: 0.3, top_p: 0.9 }
+// Ask for a JSON plan; on malformed output feed the errors back to the model
+// and let it repair its own answer. Passing onToken streams every attempt.
+async function generatePlan(trip, { signal, onToken, onRetry } = {}) {
+    const options = {
+        ...(trip.legs?.length > 1 && { legs: trip.legs }),
+        ...(trip.mode === "itinerary" && { dates: dateRange(trip.startDate, trip.endDate) }),
     };
+    const task = { kind: "plan", destination: trip.destination, ...options };
+    let prompt = buildPlanPrompt({ ...trip, ...options });
+    for (let attempt = 1; attempt <= MAX_PLAN_ATTEMPTS; attempt++) {
+        const raw = onToken
+            ? await llm.stream(prompt, { json: true, signal, task, onToken })
+            : await llm.generate(prompt, { json: true, signal, task });
+        const { plan, errors } = parsePlan(raw, options);
+        if (plan) return plan;
+
+        console.warn(`Travel plan attempt ${attempt} invalid: ${errors.join("; ")}`);
+        prompt = buildRepairPrompt(raw, errors, options);
+        if (attempt < MAX_PLAN_ATTEMPTS) onRetry?.(attempt);
+    }
+    const err = new Error("The AI returned an invalid travel plan. Please try again.");
+    err.status = 502;
+    throw err;
+}
+
+// Swap each typed destination for the geocoder's match, unless the client
+// sent one already. Returns { trip }, or { error } naming the first place
+// that couldn't be found.
+async function resolveTripLegs(trip) {
+    const lookup = GEOCODER === "offline" ? offlinePlace : geocodeDestination;
+    const legs = [];
+    for (const { place: known, ...leg } of trip.legs) {
+        const place = known || await lookup(leg.destination);
+        if (!place) return { error: `Destination not found: ${leg.destination}` };
+        legs.push({
+            ...leg,
+            destination: place.label,
+            name: place.name,
+            country: place.country,
+            latitude: place.latitude,
+            longitude: place.longitude,
+            timezone: place.timezone,
+        });
+    }
+    const destination = legs.length > 1 ? legs.map(l => l.name).join(" → ") : legs[0].destination;
+    return { trip: { ...trip, destination, legs } };
+}
+
+// Validated trip with geocoded legs, or null after answering 400/502
+async function tripFromRequest(req, res) {
+    const { trip, error } = validateTripInput(req.body);
+    if (error) {
+        res.status(400).json({ error });
+        return null;
+    }
+    try {
+        const resolved = await resolveTripLegs(trip);
+        if (resolved.error) {
+            res.status(400).json({ error: resolved.error });
+            return null;
+        }
+        return resolved.trip;
+    } catch (e) {
+        console.error(e);
+        res.status(502).json({ error: "Could not look up the destination. Try again later." });
+        return null;
+    }
+}
+
+// Re-plan a single itinerary day, keeping the rest of the trip in view so
+// the model does not repeat activities from other days.
+async function generateDay(trip, date, traveler, { signal } = {}) {
+    const leg = legOn(trip, date);
+    const task = { kind: "day", destination: leg?.destination || trip.destination, date };
+    const prompt = buildDayPrompt({
+        traveler,
+        destination: task.destination,
+        date,
+        attractions: leg?.name ? trip.plan?.attractions?.filter(a => !a.city || a.city.startsWith(leg.name)) : trip.plan?.attractions,
+        otherDays: (trip.plan?.itinerary?.days || []).filter(d => d.date !== date),
+        // Travel days appear once per city; the later entry is the arrival
+        weatherDay: trip.weather?.days?.filter(d => d.date === date).pop(),
+    });
+    for (let attempt = 1; attempt <= MAX_PLAN_ATTEMPTS; attempt++) {
+        const { slots, errors } = parseDay(await llm.generate(prompt, { json: true, signal, task }));
+        if (slots) return slots;
+        console.warn(`Day plan attempt ${attempt} invalid: ${errors.join("; ")}`);
+    }
+    const err = new Error("The AI returned an invalid day plan. Please try again.");
+    err.status = 502;
+    throw err;
+}
+
+// The plan still works without weather, so an upstream failure only drops
+// it. Multi-city trips get every city's days in order, tagged with the city.
+async function tripWeatherOrNull({ destination, legs }) {
+    try {
+        const parts = await Promise.all(legs.map(leg => buildTripWeather(leg, leg.startDate, leg.endDate)));
+        if (parts.length === 1) return parts[0];
+
+        const sources = new Set(parts.map(p => p.source));
+        return {
+            location: destination,
+            source: sources.size > 1 ? "mixed" : [...sources][0],
+            stale: parts.some(p => p.stale),
+            days: parts.flatMap((p, i) => p.days.map(d => ({ ...d, location: legs[i].name }))),
+            legs: parts,
+        };
+    } catch (e) {
+        console.warn(`Trip weather unavailable for ${destination}: ${e.message}`);
+        return null;
+    }
+}
+
+// ============================================================================
+// THROTTLING
+// ============================================================================
+
+// Auth routes: a per-IP bucket plus a roomier one per claimed account
+// (submitted user id or email) that caps guessing spread across many
+// addresses. A single address runs out of its own bucket long before the
+// account's, so it can't lock the owner out. Signed-in requests are only
+// charged per IP.
+const authLimit = [
+    rateLimit({
+        ...RATE_LIMITS.auth,
+        keys: req => [`ip:${req.ip}`],
+        message: "Too many attempts",
+    }),
+    rateLimit({
+        ...RATE_LIMITS.authAccount,
+        keys: req => {
+            const account = !req.session.userId && sanitizeId(req.body?.userId || req.body?.identifier);
+            return [account && `acct:${userKey(account)}`];
+        },
+        message: "Too many attempts for this account",
+    }),
+];
+
+const planLimit = rateLimit({
+    ...RATE_LIMITS.plan,
+    keys: req => [`plan:${req.session.userId || req.ip}`],
+    message: "Too many plan requests",
+});
+
+// Lockout is keyed by account and IP together, so guessing from one
+// address cannot lock the owner out everywhere; the buckets above cap
+// attempts spread across addresses.
+const lockout = new Lockout(RATE_LIMITS.lockout);
+const planJobs = new ConcurrencyLimiter({ max: RATE_LIMITS.maxConcurrentPlans });
+
+const lockoutKeys = (req, userId) => [`${userKey(userId)}|${req.ip}`];
+const lockedMessage = ms => `Too many failed attempts. Try again in ${formatWait(ms)}.`;
+
+// Compared against when the account doesn't exist, so unknown ids take as
+// long to reject as wrong passwords
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), SALT_ROUNDS);
+
+// Compare a password under the lockout. On failure the 401/429 response has
+// already been sent and false is returned.
+async function checkPassword(req, res, { userId, user, password, error }) {
+    const keys = lockoutKeys(req, userId);
+    const wait = lockout.check(keys);
+    if (wait) {
+        sendTooMany(res, wait, lockedMessage(wait));
+        return false;
+    }
+
+    const matches = await bcrypt.compare(String(password), user?.passwordHash || DUMMY_PASSWORD_HASH);
+    const ok = !!user && matches;
+    if (!ok) {
+        const lockedFor = lockout.fail(keys);
+        if (lockedFor) sendTooMany(res, lockedFor, lockedMessage(lockedFor));
+        else res.status(401).json({ error });
+        return false;
+    }
+
+    lockout.reset(keys);
+    return true;
+}
+
+// Accepts a current TOTP code or an unused recovery code. Returns the
+// updated totp record (replay guard moved / code consumed) or null.
+function matchSecondFactor(totp, code) {
+    const step = verifyTotp(totp.secret, code, { afterStep: totp.lastStep ?? -1 });
+    if (step !== null) return { ...totp, lastStep: step };
+
+    const hash = hashRecoveryCode(code);
+    if (totp.recoveryCodes?.includes(hash)) {
+        return { ...totp, recoveryCodes: totp.recoveryCodes.filter(h => h !== hash) };
+    }
+    return null;
+}
+
+// Second-factor counterpart of checkPassword, sharing its lockout. The
+// match runs inside a transaction so a code can only be used once.
+async function checkSecondFactor(req, res, user, code) {
+    const keys = lockoutKeys(req, user.userId);
+    const wait = lockout.check(keys);
+    if (wait) {
+        sendTooMany(res, wait, lockedMessage(wait));
+        return false;
+    }
 
-    const res = await fetch("http://127.0.0.1:11434/api/generate", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body)
+    const ok = await storage.transaction(tx => {
+        const current = tx.get("users", userKey(user.userId));
+        const totp = current?.totp && matchSecondFactor(current.totp, code);
+        if (!totp) return false;
+        tx.update("users", userKey(user.userId), { totp });
+        return true;
     });
+    if (!ok) {
+        const lockedFor = lockout.fail(keys);
+        if (lockedFor) sendTooMany(res, lockedFor, lockedMessage(lockedFor));
+        else res.status(401).json({ error: "Invalid authentication code" });
+        return false;
+    }
+
+    lockout.reset(keys);
+    return true;
+}
 
-    if (!res.ok) {
-        const text = await res.text();
-        throw new Error(`Ollama error ${res.status}: ${text}`);
+// One running plan generation per user (by default). Returns a release
+// function, or null after answering 429.
+function acquirePlanJob(req, res) {
+    const release = planJobs.acquire(req.session.userId);
+    if (!release) {
+        sendTooMany(res, 10 * 1000, "A plan is already being generated. Wait for it to finish or cancel it.");
     }
+    return release;
+}
+
+// Aborted when the client goes away before the response is sent, so the
+// model stops working on an answer nobody will read
+function abortOnClose(res) {
+    const controller = new AbortController();
+    res.on("close", () => {
+        if (!res.writableEnded) controller.abort();
+    });
+    return controller.signal;
+}
 
-    const data = await res.json();
-    return data.response || "";
+// ============================================================================
+// AUDIT
+// ============================================================================
+
+function outcomeOf(status) {
+    if (status < 400) return "success";
+    if (status === 429) return "throttled";
+    return status >= 500 ? "error" : "failure";
+}
+
+// Route middleware recording one audit event per request once the response
+// is done. The outcome follows the status code and the error message sent,
+// unless the route says otherwise through res.locals.audit (userId, outcome
+// and any extra detail). Goes before the rate limiter so throttled attempts
+// are recorded too.
+function audited(action) {
+    return (req, res, next) => {
+        // Taken now: sign-out and deletion end the session before the response
+        const sessionUserId = req.session.userId;
+        res.locals.audit = {};
+
+        const json = res.json.bind(res);
+        res.json = body => {
+            if (body?.error) res.locals.audit.error ??= body.error;
+            return json(body);
+        };
+
+        res.on("close", () => {
+            const { userId, outcome, ...detail } = res.locals.audit;
+            audit.record({
+                action,
+                outcome: outcome || (res.writableFinished ? outcomeOf(res.statusCode) : "aborted"),
+                userId: userId || sessionUserId || sanitizeId(req.body?.userId) || null,
+                ip: req.ip,
+                ...(req.params.userId && { target: req.params.userId }),
+                ...detail,
+            });
+        });
+        next();
+    };
 }
 
 // ============================================================================
 // ROUTES - AUTHENTICATION
 // ============================================================================
 
+function regenerateSession(req) {
+    return new Promise((resolve, reject) => {
+        req.session.regenerate(err => (err ? reject(err) : resolve()));
+    });
+}
+
+const LOCKED_ERROR = "This account is locked. Contact an administrator.";
+
+// Final step of every sign-in path: fresh session id, then remember when
+// the account was last used.
+async function completeSignIn(req, res, user) {
+    await regenerateSession(req);
+    req.session.userId = user.userId;
+    await storage.transaction(tx =>
+        tx.update("users", userKey(user.userId), { lastSignInAt: new Date().toISOString() })
+    );
+    res.json({ ok: true, message: "Signed in", userId: user.userId, csrfToken: csrfToken(req, res) });
+}
+
 app.get("/api/me", (req, res) => {
     if (req.session.userId) {
-        return res.json({ signedIn: true, userId: req.session.userId });
+        return res.json({
+            signedIn: true,
+            userId: req.session.userId,
+            role: roleOf(findUser(req.session.userId)),
+            twoFactorEnabled: !!findUser(req.session.userId)?.totp,
+            csrfToken: csrfToken(req, res),
+        });
     }
-    res.json({ signedIn: false });
+    res.json({ signedIn: false, csrfToken: csrfToken(req, res) });
+});
+
+// The browser checks passwords live against the same policy
+app.get("/api/password-policy", (_req, res) => {
+    res.json({ ok: true, policy: PASSWORD_POLICY });
 });
 
-app.post("/api/signup", async(req, res) => {
+app.post("/api/signup", audited("signup"), authLimit, async(req, res) => {
     try {
         const { userId, password } = req.body || {};
         const id = sanitizeId(userId);
-        if (!id || !password || password.length < 6) {
-            return res.status(400).json({ error: "Invalid input. Password must be at least 6 chars." });
-        }
+        if (!id || !password) return res.status(400).json({ error: "Account ID and password required" });
 
-        const users = await readUsers();
-        if (users.find(u => u.userId.toLowerCase() === id.toLowerCase())) {
-            return res.status(409).json({ error: "User already exists" });
+        const weak = passwordError(password, id);
+        if (weak) return res.status(400).json(weak);
+
+        // Optional; needed to recover the account if the password is lost
+        const email = String(req.body?.email || "").trim().toLowerCase();
+        if (email && (email.length > 254 || !EMAIL_RE.test(email))) {
+            return res.status(400).json({ error: "Invalid email address" });
         }
 
+        if (findUser(id)) return res.status(409).json({ error: "User already exists" });
+        if (email && findUserByEmail(email)) return res.status(409).json({ error: "Email already in use" });
+
+        // Check again inside the transaction: a concurrent signup may have
+        // taken the id while the password was hashing.
         const hash = await bcrypt.hash(password, SALT_ROUNDS);
-        users.push({ userId: id, passwordHash: hash, createdAt: new Date().toISOString() });
-        await writeUsers(users);
+        const conflict = await storage.transaction(tx => {
+            if (tx.get("users", userKey(id))) return "User already exists";
+            if (email && tx.list("users", u => u.email === email).length) return "Email already in use";
+
+            const user = { userId: id, passwordHash: hash, createdAt: new Date().toISOString() };
+            if (email) user.email = email;
+            tx.insert("users", user);
+            return null;
+        });
+        if (conflict) return res.status(409).json({ error: conflict });
 
         res.json({ ok: true, message: "Sign up successful. You can sign in now." });
     } catch (e) {
@@ -325,46 +1384,103 @@ app.post("/api/signup", async(req, res) => {
     }
 });
 
-app.post("/api/signin", async(req, res) => {
+app.post("/api/signin", audited("signin"), authLimit, async(req, res) => {
     try {
         const { userId, password } = req.body || {};
         const id = sanitizeId(userId);
         if (!id || !password) return res.status(400).json({ error: "Missing credentials" });
 
-        const users = await readUsers();
-        const user = users.find(u => u.userId.toLowerCase() === id.toLowerCase());
-        if (!user) return res.status(401).json({ error: "Invalid user or password" });
+        // Unknown ids count as failures too, so they can't be probed freely
+        const user = findUser(id);
+        res.locals.audit.userId = user?.userId;
+        const ok = await checkPassword(req, res, { userId: id, user, password, error: "Invalid user or password" });
+        if (!ok) return;
+
+        // Only revealed to someone who knows the password
+        if (user.lockedAt) return res.status(403).json({ error: LOCKED_ERROR });
+        if (user.deleteAfter) {
+            return res.status(403).json({
+                error: `This account is scheduled for deletion on ${formatDay(user.deleteAfter)}. Restore it to sign in.`,
+                code: "PENDING_DELETION",
+                deleteAfter: user.deleteAfter,
+            });
+        }
+
+        // With 2FA on, the password only unlocks the second step. The
+        // session id is renewed here too so a pre-auth id can't be reused.
+        if (user.totp) {
+            await regenerateSession(req);
+            req.session.pendingTwoFactor = { userId: user.userId, expiresAt: Date.now() + TWO_FACTOR_PENDING_MS };
+            res.locals.audit.outcome = "second_factor_required";
+            return res.json({
+                ok: true,
+                twoFactorRequired: true,
+                message: "Enter the code from your authenticator app",
+                csrfToken: csrfToken(req, res),
+            });
+        }
+
+        await completeSignIn(req, res, user);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+app.post("/api/signin/2fa", audited("signin.2fa"), authLimit, async(req, res) => {
+    try {
+        const pending = req.session.pendingTwoFactor;
+        res.locals.audit.userId = pending?.userId;
+        if (!pending || pending.expiresAt <= Date.now()) {
+            delete req.session.pendingTwoFactor;
+            return res.status(401).json({ error: "Sign-in expired. Enter your password again." });
+        }
+
+        const code = String(req.body?.code || "").trim();
+        if (!code) return res.status(400).json({ error: "Code required" });
 
-        const ok = await bcrypt.compare(password, user.passwordHash);
-        if (!ok) return res.status(401).json({ error: "Invalid user or password" });
+        const user = findUser(pending.userId);
+        if (!user?.totp) return res.status(401).json({ error: "Sign-in expired. Enter your password again." });
 
-        req.session.userId = user.userId;
-        res.json({ ok: true, message: "Signed in", userId: user.userId });
+        const ok = await checkSecondFactor(req, res, user, code);
+        if (!ok) return;
+        if (user.lockedAt) return res.status(403).json({ error: LOCKED_ERROR });
+
+        await completeSignIn(req, res, user);
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: "Server error" });
     }
 });
 
-app.post("/api/change-password", async(req, res) => {
+app.post("/api/change-password", audited("password.change"), authLimit, async(req, res) => {
     try {
         if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
 
         const { currentPassword, newPassword } = req.body || {};
-        if (!currentPassword || !newPassword || newPassword.length < 6) {
-            return res.status(400).json({ error: "Invalid input. New password must be at least 6 chars." });
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ error: "Current and new password required" });
         }
 
-        const users = await readUsers();
-        const idx = users.findIndex(u => u.userId === req.session.userId);
-        if (idx === -1) return res.status(401).json({ error: "Not signed in" });
+        const weak = passwordError(newPassword, req.session.userId);
+        if (weak) return res.status(400).json(weak);
+
+        const user = findUser(req.session.userId);
+        if (!user) return res.status(401).json({ error: "Not signed in" });
 
-        const ok = await bcrypt.compare(currentPassword, users[idx].passwordHash);
-        if (!ok) return res.status(401).json({ error: "Current password incorrect" });
+        const ok = await checkPassword(req, res, {
+            userId: user.userId,
+            user,
+            password: currentPassword,
+            error: "Current password incorrect",
+        });
+        if (!ok) return;
 
-        users[idx].passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
-        users[idx].updatedAt = new Date().toISOString();
-        await writeUsers(users);
+        const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+        const updated = await storage.transaction(tx =>
+            tx.update("users", userKey(user.userId), { passwordHash, updatedAt: new Date().toISOString() })
+        );
+        if (!updated) return res.status(401).json({ error: "Not signed in" });
 
         res.json({ ok: true, message: "Password updated" });
     } catch (e) {
@@ -373,55 +1489,624 @@ app.post("/api/change-password", async(req, res) => {
     }
 });
 
-app.post("/api/delete-account", async(req, res) => {
+app.post("/api/delete-account", audited("account.delete"), authLimit, async(req, res) => {
     try {
         if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
 
         const { password } = req.body || {};
         if (!password) return res.status(400).json({ error: "Password required" });
 
-        const users = await readUsers();
-        const idx = users.findIndex(u => u.userId === req.session.userId);
-        if (idx === -1) return res.status(401).json({ error: "Not signed in" });
+        const user = findUser(req.session.userId);
+        if (!user) return res.status(401).json({ error: "Not signed in" });
 
-        const ok = await bcrypt.compare(password, users[idx].passwordHash);
-        if (!ok) return res.status(401).json({ error: "Password incorrect" });
+        const ok = await checkPassword(req, res, { userId: user.userId, user, password, error: "Password incorrect" });
+        if (!ok) return;
 
-        users.splice(idx, 1);
-        await writeUsers(users);
+        if (!DELETION_GRACE_MS) {
+            const alias = await deleteAccount(user.userId);
+            // Recorded after the account's activity is forgotten, so neither
+            // its id nor its address may come back with this event
+            Object.assign(res.locals.audit, { userId: alias, ip: null });
+            req.session.destroy(() => {});
+            return res.json({ ok: true, message: "Account deleted" });
+        }
 
-        // Destroy session
+        // Signed out everywhere now; purgeDeletedAccounts removes the data
+        // once the grace period is over unless the account is restored.
+        const deleteAfter = new Date(Date.now() + DELETION_GRACE_MS).toISOString();
+        await storage.transaction(tx =>
+            tx.update("users", userKey(user.userId), { deletionRequestedAt: new Date().toISOString(), deleteAfter })
+        );
+        await sessionStore.destroyByUser(user.userId);
         req.session.destroy(() => {});
-        res.json({ ok: true, message: "Account deleted" });
+        res.json({
+            ok: true,
+            message: `Account scheduled for deletion on ${formatDay(deleteAfter)}. Sign in before then to restore it.`,
+            deleteAfter,
+        });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: "Server error" });
     }
 });
 
-app.post("/api/signout", (req, res) => {
-    req.session.destroy(() => res.json({ ok: true, message: "Signed out" }));
-});
+// Cancel a pending deletion. Takes the credentials directly since the
+// account can't sign in until it is restored.
+app.post("/api/account/restore", audited("account.restore"), authLimit, async(req, res) => {
+    try {
+        const { userId, password } = req.body || {};
+        const id = sanitizeId(userId);
+        if (!id || !password) return res.status(400).json({ error: "Missing credentials" });
 
-// ============================================================================
+        const user = findUser(id);
+        res.locals.audit.userId = user?.userId;
+        const ok = await checkPassword(req, res, { userId: id, user, password, error: "Invalid user or password" });
+        if (!ok) return;
+
+        if (!user.deleteAfter) return res.status(400).json({ error: "This account is not scheduled for deletion" });
+
+        await storage.transaction(tx =>
+            tx.update("users", userKey(user.userId), { deletionRequestedAt: undefined, deleteAfter: undefined })
+        );
+        res.json({ ok: true, message: "Account restored" });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Everything stored about the account as one JSON download. Secrets
+// (password hash, 2FA secret and recovery codes) are left out.
+app.get("/api/account/export", audited("account.export"), async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        const user = findUser(req.session.userId);
+        if (!user) return res.status(401).json({ error: "Not signed in" });
+
+        const { passwordHash, totp, totpPending, ...profile } = user;
+        const othersTrips = storage.list("trips", t => t.userId !== user.userId);
+        const data = {
+            format: "travel-explorer-export",
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            profile: { ...profile, role: roleOf(user), twoFactorEnabledAt: totp?.enabledAt || null },
+            preferences: preferencesFor(user.userId),
+            trips: storage.list("trips", t => t.userId === user.userId),
+            // Other people's trips they work on, as they see them, and their
+            // comments anywhere else (deleteAccount removes the same)
+            sharedTrips: othersTrips.filter(t => isCollaborator(t, user.userId)).map(t => tripForViewer(t, "collaborator")),
+            comments: othersTrips.flatMap(t => (t.comments || [])
+                .filter(c => c.userId === user.userId)
+                .map(c => ({ tripId: t.id, trip: t.name || t.destination, ...c }))),
+            activity: await audit.forUser(user.userId, { limit: Infinity }),
+        };
+
+        res.attachment(`travel-explorer-${user.userId}-${formatDay(data.exportedAt)}.json`);
+        res.type("application/json").send(JSON.stringify(data, null, 2));
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+app.post("/api/signout", audited("signout"), (req, res) => {
+    req.session.destroy(() => res.json({ ok: true, message: "Signed out" }));
+});
+
+app.post("/api/signout-all", audited("signout.all"), async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        const count = await sessionStore.destroyByUser(req.session.userId);
+        req.session.destroy(() => {});
+        res.json({ ok: true, message: `Signed out of ${count} ${count === 1 ? "session" : "sessions"}` });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// The signed-in user's own audit events, newest first
+app.get("/api/activity", async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+        const events = await audit.forUser(req.session.userId, { limit });
+        res.json({ ok: true, events });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// ============================================================================
+// ROUTES - PREFERENCES
+// ============================================================================
+
+app.get("/api/preferences", (req, res) => {
+    if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+    res.json({ ok: true, preferences: preferencesFor(req.session.userId), options: PREFERENCE_OPTIONS });
+});
+
+// Partial updates: only the fields sent are changed
+app.put("/api/preferences", audited("preferences.update"), async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        const userId = req.session.userId;
+        const saved = await storage.transaction(tx => {
+            const current = tx.get("preferences", userKey(userId));
+            const { preferences, errors } = normalizePreferences(req.body, { ...DEFAULT_PREFERENCES, ...current });
+            if (!preferences) return { errors };
+
+            tx.put("preferences", { ...preferences, userId, updatedAt: new Date().toISOString() });
+            return { preferences };
+        });
+        if (saved.errors) return res.status(400).json({ error: `Invalid preferences: ${saved.errors.join("; ")}`, errors: saved.errors });
+
+        res.json({ ok: true, message: "Preferences saved", preferences: preferencesFor(userId) });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// ============================================================================
+// ROUTES - TWO-FACTOR AUTHENTICATION
+// ============================================================================
+
+app.get("/api/2fa", (req, res) => {
+    if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+    const totp = findUser(req.session.userId)?.totp;
+    res.json({
+        ok: true,
+        enabled: !!totp,
+        enabledAt: totp?.enabledAt || null,
+        recoveryCodesLeft: totp ? totp.recoveryCodes.length : 0,
+    });
+});
+
+// Step 1 of enrollment: a new secret, kept pending until a code proves the
+// authenticator app has it.
+app.post("/api/2fa/setup", async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        const user = findUser(req.session.userId);
+        if (!user) return res.status(401).json({ error: "Not signed in" });
+        if (user.totp) return res.status(409).json({ error: "Two-factor authentication is already on" });
+
+        const secret = generateSecret();
+        await storage.transaction(tx =>
+            tx.update("users", userKey(user.userId), { totpPending: { secret, createdAt: new Date().toISOString() } })
+        );
+
+        res.json({
+            ok: true,
+            secret,
+            otpauthUri: otpauthUri({ secret, account: user.userId, issuer: TOTP_ISSUER }),
+        });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Step 2: confirm with a code. Recovery codes are returned this once.
+app.post("/api/2fa/enable", audited("2fa.enable"), authLimit, async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        const user = findUser(req.session.userId);
+        if (!user) return res.status(401).json({ error: "Not signed in" });
+        if (user.totp) return res.status(409).json({ error: "Two-factor authentication is already on" });
+        if (!user.totpPending) return res.status(400).json({ error: "Start the setup first" });
+
+        const step = verifyTotp(user.totpPending.secret, req.body?.code);
+        if (step === null) return res.status(400).json({ error: "That code didn't match. Check the time on your device and try again." });
+
+        const recoveryCodes = generateRecoveryCodes();
+        await storage.transaction(tx =>
+            tx.update("users", userKey(user.userId), {
+                totp: {
+                    secret: user.totpPending.secret,
+                    enabledAt: new Date().toISOString(),
+                    lastStep: step,
+                    recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+                },
+                totpPending: undefined,
+            })
+        );
+
+        res.json({ ok: true, message: "Two-factor authentication is on", recoveryCodes });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+app.post("/api/2fa/recovery-codes", audited("2fa.recovery_codes"), authLimit, async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        const user = findUser(req.session.userId);
+        if (!user?.totp) return res.status(400).json({ error: "Two-factor authentication is off" });
+
+        const ok = await checkSecondFactor(req, res, user, req.body?.code);
+        if (!ok) return;
+
+        const recoveryCodes = generateRecoveryCodes();
+        await storage.transaction(tx =>
+            tx.update("users", userKey(user.userId), t => ({
+                totp: { ...t.totp, recoveryCodes: recoveryCodes.map(hashRecoveryCode) },
+            }))
+        );
+
+        res.json({ ok: true, recoveryCodes });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+app.post("/api/2fa/disable", audited("2fa.disable"), authLimit, async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        const { password, code } = req.body || {};
+        if (!password || !code) return res.status(400).json({ error: "Password and code required" });
+
+        const user = findUser(req.session.userId);
+        if (!user?.totp) return res.status(400).json({ error: "Two-factor authentication is off" });
+
+        const passwordOk = await checkPassword(req, res, { userId: user.userId, user, password, error: "Password incorrect" });
+        if (!passwordOk) return;
+        const codeOk = await checkSecondFactor(req, res, user, code);
+        if (!codeOk) return;
+
+        await storage.transaction(tx =>
+            tx.update("users", userKey(user.userId), { totp: undefined, updatedAt: new Date().toISOString() })
+        );
+
+        res.json({ ok: true, message: "Two-factor authentication is off" });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// ============================================================================
+// ROUTES - ADMIN
+// ============================================================================
+
+app.use("/api/admin", (req, res, next) => {
+    if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+    if (roleOf(findUser(req.session.userId)) !== "admin") {
+        return res.status(403).json({ error: "Admins only" });
+    }
+    next();
+});
+
+function adminUserView(user) {
+    return {
+        userId: user.userId,
+        email: user.email || null,
+        role: roleOf(user),
+        createdAt: user.createdAt || null,
+        updatedAt: user.updatedAt || null,
+        lastSignInAt: user.lastSignInAt || null,
+        lockedAt: user.lockedAt || null,
+        lockedBy: user.lockedBy || null,
+        deleteAfter: user.deleteAfter || null,
+        twoFactorEnabled: !!user.totp,
+        trips: storage.list("trips", t => t.userId === user.userId).length,
+    };
+}
+
+// Resolve :userId for the routes below; admins can't lock, demote, reset or
+// delete themselves, so a slip can't leave the console without an admin.
+function adminTarget(req, res) {
+    const user = findUser(req.params.userId);
+    if (!user) {
+        res.status(404).json({ error: "User not found" });
+        return null;
+    }
+    if (user.userId === req.session.userId) {
+        res.status(400).json({ error: "Use Account Settings to change your own account" });
+        return null;
+    }
+    return user;
+}
+
+app.get("/api/admin/users", (_req, res) => {
+    const users = storage
+        .list("users")
+        .sort((a, b) => a.userId.localeCompare(b.userId))
+        .map(adminUserView);
+    res.json({ ok: true, users });
+});
+
+app.post("/api/admin/users/:userId/lock", audited("admin.lock"), async(req, res) => {
+    try {
+        const user = adminTarget(req, res);
+        if (!user) return;
+
+        const updated = await storage.transaction(tx =>
+            tx.update("users", userKey(user.userId), { lockedAt: new Date().toISOString(), lockedBy: req.session.userId, updatedAt: new Date().toISOString() })
+        );
+        await sessionStore.destroyByUser(user.userId);
+
+        res.json({ ok: true, message: `Locked ${user.userId}`, user: adminUserView(updated) });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+app.post("/api/admin/users/:userId/unlock", audited("admin.unlock"), async(req, res) => {
+    try {
+        const user = adminTarget(req, res);
+        if (!user) return;
+
+        const updated = await storage.transaction(tx =>
+            tx.update("users", userKey(user.userId), { lockedAt: undefined, lockedBy: undefined, updatedAt: new Date().toISOString() })
+        );
+        res.json({ ok: true, message: `Unlocked ${user.userId}`, user: adminUserView(updated) });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+app.post("/api/admin/users/:userId/role", audited("admin.role"), async(req, res) => {
+    try {
+        const user = adminTarget(req, res);
+        if (!user) return;
+
+        const role = req.body?.role;
+        if (!ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of: ${ROLES.join(", ")}` });
+
+        const updated = await storage.transaction(tx =>
+            tx.update("users", userKey(user.userId), { role, updatedAt: new Date().toISOString() })
+        );
+        res.json({ ok: true, message: `${user.userId} is now ${role === "admin" ? "an admin" : "a regular user"}`, user: adminUserView(updated) });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// The old password stops working immediately and every session ends. The
+// reset link is mailed when the account has an email; otherwise it goes
+// back to the admin to hand over.
+app.post("/api/admin/users/:userId/reset-password", audited("admin.reset_password"), async(req, res) => {
+    try {
+        const user = adminTarget(req, res);
+        if (!user) return;
+
+        const unusable = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), SALT_ROUNDS);
+        await storage.transaction(tx =>
+            tx.update("users", userKey(user.userId), { passwordHash: unusable, updatedAt: new Date().toISOString() })
+        );
+        await sessionStore.destroyByUser(user.userId);
+
+        const link = await createResetLink(user.userId);
+        if (user.email) {
+            await mailResetLink(user, link, `An administrator reset the password for account "${user.userId}".`);
+            return res.json({ ok: true, message: `Reset link sent to ${user.email}` });
+        }
+        res.json({ ok: true, message: "No email on file; give the user this link", resetLink: link });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+app.delete("/api/admin/users/:userId", audited("admin.delete"), async(req, res) => {
+    try {
+        const user = adminTarget(req, res);
+        if (!user) return;
+
+        res.locals.audit.target = await deleteAccount(user.userId);
+        res.json({ ok: true, message: `Deleted ${user.userId}` });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// ============================================================================
+// ROUTES - PASSWORD RESET
+// ============================================================================
+
+// Store a fresh reset token for the account, replacing any earlier one, and
+// return the link that redeems it.
+async function createResetLink(userId) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const now = Date.now();
+
+    await storage.transaction(tx => {
+        for (const t of tx.list("resetTokens", t => t.userId === userId || t.expiresAt <= now)) {
+            tx.remove("resetTokens", t.tokenHash);
+        }
+        tx.insert("resetTokens", {
+            tokenHash: hashToken(token),
+            userId,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: now + RESET_TOKEN_TTL_MS,
+        });
+    });
+    return `${PUBLIC_URL}/reset.html?token=${token}`;
+}
+
+function mailResetLink(user, link, intro) {
+    const minutes = Math.round(RESET_TOKEN_TTL_MS / 60000);
+    return mailer.send({
+        to: user.email,
+        subject: "Reset your Travel Explorer password",
+        text:
+            `${intro}\n\n` +
+            `Open this link within ${minutes} minutes to choose a new password:\n` +
+            `${link}\n\n` +
+            "If you didn't expect this message, contact an administrator.",
+    });
+}
+
+// Always answers the same way so the form can't be used to find out which
+// accounts or emails exist. Only accounts with an email can be recovered.
+app.post("/api/password-reset/request", audited("password.reset_request"), authLimit, async(req, res) => {
+    try {
+        const identifier = sanitizeId(req.body?.identifier);
+        if (!identifier) return res.status(400).json({ error: "Enter your account ID or email" });
+
+        const user = identifier.includes("@") ? findUserByEmail(identifier) : findUser(identifier);
+        res.locals.audit.userId = user?.userId;
+        if (user?.email) {
+            const link = await createResetLink(user.userId);
+            await mailResetLink(user, link, `Someone asked to reset the password for account "${user.userId}".`);
+        }
+
+        res.json({ ok: true, message: "If an account with an email address matches, a reset link is on its way." });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+app.post("/api/password-reset/confirm", audited("password.reset"), authLimit, async(req, res) => {
+    try {
+        const { token, newPassword } = req.body || {};
+        if (!token) return res.status(400).json({ error: "Missing reset token" });
+        if (!newPassword) return res.status(400).json({ error: "New password required" });
+
+        const tokenHash = hashToken(token);
+        const pending = storage.get("resetTokens", tokenHash);
+        res.locals.audit.userId = pending?.userId;
+        if (!pending || pending.expiresAt <= Date.now()) {
+            return res.status(400).json({ error: "This reset link is invalid or has expired" });
+        }
+
+        const weak = passwordError(newPassword, pending.userId);
+        if (weak) return res.status(400).json(weak);
+
+        const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+        // Consume the token in the same write as the password change, so two
+        // submissions can't both use it.
+        const userId = await storage.transaction(tx => {
+            const current = tx.get("resetTokens", tokenHash);
+            if (!current || current.expiresAt <= Date.now()) return null;
+
+            for (const t of tx.list("resetTokens", t => t.userId === current.userId)) {
+                tx.remove("resetTokens", t.tokenHash);
+            }
+            const user = tx.update("users", userKey(current.userId), {
+                passwordHash,
+                updatedAt: new Date().toISOString(),
+            });
+            return user?.userId || null;
+        });
+        if (!userId) return res.status(400).json({ error: "This reset link is invalid or has expired" });
+
+        // Whoever knew the old password is signed out everywhere
+        await sessionStore.destroyByUser(userId);
+        lockout.reset(lockoutKeys(req, userId));
+
+        res.json({ ok: true, message: "Password reset. You can sign in with your new password." });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// ============================================================================
 // ROUTES - WEATHER API
 // ============================================================================
 
+// Query -> range. Three modes:
+//   forecast: next `days` days / `hours` hours from now (default 7 / 24)
+//   dates:    start_date..end_date within the forecast horizon
+//   archive:  start_date..end_date older than the archive lag
+function parseWeatherRange(query) {
+    const today = new Date().toISOString().slice(0, 10);
+    const { start_date: startDate, end_date: endDate } = query;
+
+    if (startDate || endDate) {
+        if (!ISO_DATE.test(startDate || "") || !ISO_DATE.test(endDate || "")) {
+            return { error: "start_date and end_date must both be YYYY-MM-DD" };
+        }
+        if (endDate < startDate) return { error: "end_date must be on or after start_date" };
+
+        const days = Math.round((Date.parse(endDate) - Date.parse(startDate)) / 86400000) + 1;
+        if (days > MAX_RANGE_DAYS) {
+            return { error: `Date range is limited to ${MAX_RANGE_DAYS} days` };
+        }
+
+        const lastForecastDay = addDays(today, FORECAST_DAYS - 1);
+        if (endDate > lastForecastDay) {
+            return { error: `Forecasts only reach ${lastForecastDay}; plan further ahead with climate normals in the Plan Trip tab` };
+        }
+
+        // The archive trails real time by a few days; the forecast API
+        // covers that recent past instead.
+        const mode = endDate < addDays(today, -ARCHIVE_LAG_DAYS) ? "archive" : "dates";
+        return { range: { mode, start_date: startDate, end_date: endDate, days, hours: days * 24 } };
+    }
+
+    const days = query.days !== undefined ? Number(query.days) : 7;
+    const hours = query.hours !== undefined ? Number(query.hours) : 24;
+    if (!Number.isInteger(days) || days < 1 || days > FORECAST_DAYS) {
+        return { error: `days must be an integer between 1 and ${FORECAST_DAYS}` };
+    }
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_FORECAST_HOURS) {
+        return { error: `hours must be an integer between 1 and ${MAX_FORECAST_HOURS}` };
+    }
+
+    // Hourly data starts at the current hour, so fetch one extra day to
+    // cover the tail of the requested hours.
+    const forecastDays = Math.min(FORECAST_DAYS, Math.max(days, Math.ceil(hours / 24) + 1));
+    return { range: { mode: "forecast", days, hours, forecast_days: forecastDays } };
+}
+
 app.get("/api/weather", async (req, res) => {
     try {
-        let { city = "", lat, lon, tz } = req.query;
+        let { city = "", lat, lon, tz, label } = req.query;
         city = String(city || "").trim();
         lat = lat !== undefined ? Number(lat) : undefined;
         lon = lon !== undefined ? Number(lon) : undefined;
+        label = String(label || "").trim().slice(0, 200);
+
+        const { range, error } = parseWeatherRange(req.query);
+        if (error) return res.status(400).json({ error });
+
+        const meta = await resolveLocation({ city, lat, lon, label });
+        const timezone = tz || "auto";
+
+        let wx;
+        let aq = null;
+        if (range.mode === "archive") {
+            wx = await fetchHistoricalWeather(meta.lat, meta.lon, timezone, range.start_date, range.end_date);
+        } else {
+            [wx, aq] = await Promise.all([
+                fetchWeather(meta.lat, meta.lon, timezone, {
+                    days: range.forecast_days,
+                    startDate: range.start_date,
+                    endDate: range.end_date,
+                }),
+                fetchAirQuality(meta.lat, meta.lon, timezone).catch(() => null),
+            ]);
+        }
 
-        const meta = await resolveLocation({ city, lat, lon });
-
-        const [wx, aq] = await Promise.all([
-            fetchWeather(meta.lat, meta.lon, tz || "auto"),
-            fetchAirQuality(meta.lat, meta.lon, tz || "auto").catch(() => null),
-        ]);
-
-        const normalized = normalizeData(wx, aq, meta);
+        const normalized = normalizeData(wx, aq, meta, {
+            hours: range.hours,
+            days: range.days,
+            fromNow: range.mode === "forecast",
+            range,
+        });
+        normalized.stale = !!(wx.stale || aq?.stale);
 
         res.json(normalized);
     } catch (err) {
@@ -430,54 +2115,570 @@ app.get("/api/weather", async (req, res) => {
     }
 });
 
+app.get("/api/geocode", async (req, res) => {
+    try {
+        const q = String(req.query.q || "").trim();
+        if (q.length < 2) return res.status(400).json({ error: "Query must be at least 2 characters" });
+        const count = Math.min(Math.max(Number(req.query.count) || 8, 1), 20);
+
+        const results = await searchLocations(q, count);
+        res.json({ ok: true, query: q, results });
+    } catch (err) {
+        console.error("Geocode API error:", err);
+        res.status(502).json({ error: err?.message || "Geocoding failed" });
+    }
+});
+
 // ============================================================================
 // ROUTES - TRAVEL PLANNING
 // ============================================================================
 
-app.post("/api/travel-plan", async(req, res) => {
+app.post("/api/travel-plan", audited("plan.generate"), planLimit, async(req, res) => {
+    const signal = abortOnClose(res);
+    let release;
     try {
         if (!req.session.userId) {
             return res.status(401).json({ error: "Not signed in" });
         }
 
-        const { destination, startDate, endDate } = req.body || {};
-        if (!destination || !startDate || !endDate) {
-            return res.status(400).json({ error: "Missing trip information" });
+        const input = await tripFromRequest(req, res);
+        if (!input) return;
+        res.locals.audit.destination = input.destination;
+
+        release = acquirePlanJob(req, res);
+        if (!release) return;
+
+        const weather = await tripWeatherOrNull(input);
+        const plan = await generatePlan({ ...input, weather, traveler: preferencesFor(req.session.userId) }, { signal });
+        const trip = await saveTrip(req.session.userId, { ...input, weather, plan });
+        res.locals.audit.tripId = trip.id;
+
+        res.json({ ok: true, ...trip });
+    } catch (e) {
+        if (signal.aborted) return;
+        console.error(e);
+        res.status(e.status || 500).json({ error: e.message });
+    } finally {
+        release?.();
+    }
+});
+
+// Streaming variant: newline-delimited JSON events.
+//   { type: "weather", weather } - weather the plan is based on (may be null)
+//   { type: "token", text }  - next piece of the model output
+//   { type: "retry", attempt } - output was invalid, a repair pass follows
+//   { type: "done", trip }   - validated plan, already saved
+//   { type: "error", error }
+// Closing the connection aborts the generation upstream.
+app.post("/api/travel-plan/stream", audited("plan.generate"), planLimit, async(req, res) => {
+    if (!req.session.userId) {
+        return res.status(401).json({ error: "Not signed in" });
+    }
+
+    const input = await tripFromRequest(req, res);
+    if (!input) return;
+    res.locals.audit.destination = input.destination;
+
+    const release = acquirePlanJob(req, res);
+    if (!release) return;
+
+    const controller = new AbortController();
+    res.on("close", () => {
+        release();
+        if (!res.writableEnded) controller.abort();
+    });
+
+    res.status(200);
+    res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders();
+
+    const send = event => res.write(JSON.stringify(event) + "\n");
+
+    try {
+        const weather = await tripWeatherOrNull(input);
+        if (controller.signal.aborted) return;
+        send({ type: "weather", weather });
+
+        const plan = await generatePlan({ ...input, weather, traveler: preferencesFor(req.session.userId) }, {
+            signal: controller.signal,
+            onToken: text => send({ type: "token", text }),
+            onRetry: attempt => send({ type: "retry", attempt }),
+        });
+        const trip = await saveTrip(req.session.userId, { ...input, weather, plan });
+        res.locals.audit.tripId = trip.id;
+
+        send({ type: "done", trip });
+    } catch (e) {
+        if (controller.signal.aborted) return;
+        console.error(e);
+        // The status is already 200; the failure only shows in the stream
+        Object.assign(res.locals.audit, { outcome: "failure", error: e.message });
+        send({ type: "error", error: e.message });
+    }
+    res.end();
+});
+
+// ============================================================================
+// ROUTES - SAVED TRIPS
+// ============================================================================
+
+app.get("/api/trips", async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        const userId = req.session.userId;
+        const trips = storage
+            .list("trips", t => t.userId === userId || isCollaborator(t, userId))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(t => ({ ...tripSummary(t), role: t.userId === userId ? "owner" : "collaborator" }));
+
+        res.json({ ok: true, trips });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+app.get("/api/trips/:id", async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        const access = findTripAccess(storage, req.session.userId, req.params.id);
+        if (!access) return res.status(404).json({ error: "Trip not found" });
+
+        res.json({ ok: true, ...tripForViewer(access.trip, access.role) });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Markdown and calendar files download; the printable page opens in the
+// browser so it can be printed or saved as a PDF
+app.get("/api/trips/:id/export/:format", async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+        if (!Object.hasOwn(EXPORT_FORMATS, req.params.format)) {
+            return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` });
         }
 
-        const prompt = `I'm planning a trip to ${destination}, from ${startDate} to ${endDate}.
+        const access = findTripAccess(storage, req.session.userId, req.params.id);
+        if (!access) return res.status(404).json({ error: "Trip not found" });
+
+        const { units } = preferencesFor(req.session.userId);
+        const { body, type, filename } = exportTrip(access.trip, req.params.format, { units });
+        if (req.params.format !== "html") res.attachment(filename);
+        res.type(type).send(body);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+app.patch("/api/trips/:id", async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
 
-        Please provide travel recommendations in the following format:
+        const name = String(req.body?.name || "").trim();
+        if (!name || name.length > 120) {
+            return res.status(400).json({ error: "Trip name must be 1-120 chars." });
+        }
 
-        MUST VISIT:
-        - List 5-7 must-visit attractions or places
-        - Include a brief description for each
+        const trip = await storage.transaction(tx => {
+            if (!findOwnTrip(tx, req.session.userId, req.params.id)) return null;
+            return tx.update("trips", req.params.id, { name, updatedAt: new Date().toISOString() });
+        });
+        if (!trip) return res.status(404).json({ error: "Trip not found" });
 
-        PACKING LIST:
-        - List essential items to pack
-        - Categorize by: clothing, electronics, documents, toiletries, others
+        res.json({ ok: true, trip: tripSummary(trip) });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
 
-        PRECAUTIONS:
-        - Safety tips
-        - Cultural customs to be aware of
-        - Health recommendations
-        - Transportation tips
-        - Any seasonal considerations
+// Save a rearranged itinerary (drag and drop in the timeline). Days must
+// match the trip dates; items keep their ids so moves stay traceable.
+app.put("/api/trips/:id/itinerary", async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
 
-        Please be specific and practical. Use clear sections with the exact headers: "MUST VISIT:", "PACKING LIST:", and "PRECAUTIONS:".`;
+        const days = req.body?.days;
+        const result = await storage.transaction(tx => {
+            const trip = findTripAccess(tx, req.session.userId, req.params.id)?.trip;
+            if (!trip) return { status: 404, error: "Trip not found" };
+            if (!trip.plan?.itinerary) return { status: 400, error: "Trip has no itinerary" };
+
+            const dates = trip.plan.itinerary.days.map(d => d.date);
+            if (!Array.isArray(days) || days.length !== dates.length || days.some((d, i) => d?.date !== dates[i])) {
+                return { status: 400, error: "Itinerary days must match the trip dates" };
+            }
+
+            const itinerary = normalizeItinerary(days, dates);
+            tx.update("trips", trip.id, {
+                plan: { ...trip.plan, itinerary },
+                history: withChange(trip, req.session.userId, "itinerary.edit"),
+                updatedAt: new Date().toISOString(),
+            });
+            return { itinerary };
+        });
+        if (result.error) return res.status(result.status).json({ error: result.error });
 
-        const answer = await askOllama(prompt);
+        res.json({ ok: true, itinerary: result.itinerary });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
 
-        res.json({
-            ok: true,
-            destination,
-            startDate,
-            endDate,
-            answer
+app.post("/api/trips/:id/itinerary/days/:date/regenerate", audited("plan.regenerate_day"), planLimit, async(req, res) => {
+    const signal = abortOnClose(res);
+    let release;
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        res.locals.audit.tripId = req.params.id;
+        res.locals.audit.date = req.params.date;
+        const trip = findTripAccess(storage, req.session.userId, req.params.id)?.trip;
+        if (!trip) return res.status(404).json({ error: "Trip not found" });
+
+        const day = trip.plan?.itinerary?.days.find(d => d.date === req.params.date);
+        if (!day) return res.status(404).json({ error: "Day not found in itinerary" });
+
+        release = acquirePlanJob(req, res);
+        if (!release) return;
+        const slots = await generateDay(trip, day.date, preferencesFor(req.session.userId), { signal });
+
+        // Re-read: the trip may have been edited while the model was working
+        const target = await storage.transaction(tx => {
+            const current = findTripAccess(tx, req.session.userId, req.params.id)?.trip;
+            const found = current?.plan?.itinerary?.days.find(d => d.date === req.params.date);
+            if (!found) return null;
+
+            found.slots = slots;
+            tx.update("trips", current.id, {
+                plan: current.plan,
+                history: withChange(current, req.session.userId, "itinerary.regenerate_day", { date: found.date }),
+                updatedAt: new Date().toISOString(),
+            });
+            return found;
+        });
+        if (!target) return res.status(404).json({ error: "Trip not found" });
+
+        res.json({ ok: true, day: target });
+    } catch (e) {
+        if (signal.aborted) return;
+        console.error(e);
+        res.status(e.status || 500).json({ error: e.status ? e.message : "Server error" });
+    } finally {
+        release?.();
+    }
+});
+
+app.delete("/api/trips/:id", audited("trip.delete"), async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+        res.locals.audit.tripId = req.params.id;
+
+        const removed = await storage.transaction(tx =>
+            !!findOwnTrip(tx, req.session.userId, req.params.id) && tx.remove("trips", req.params.id)
+        );
+        if (!removed) return res.status(404).json({ error: "Trip not found" });
+
+        res.json({ ok: true, message: "Trip deleted" });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// ============================================================================
+// ROUTES - PACKING CHECKLIST
+// ============================================================================
+
+// Apply `change(items, trip)` to the trip's checklist in one transaction.
+// `change` returns { status, error } to refuse; otherwise its result, with
+// `history: [action, detail]` when the edit should be attributed.
+function updatePackingList(req, change) {
+    return storage.transaction(tx => {
+        const trip = findTripAccess(tx, req.session.userId, req.params.id)?.trip;
+        if (!trip) return { status: 404, error: "Trip not found" };
+        if (!trip.plan) return { status: 400, error: "Trip has no packing list" };
+
+        const items = packingListFor(trip).items.map(item => ({ ...item }));
+        const { history, ...result } = change(items, trip);
+        if (result.error) return result;
+
+        tx.update("trips", trip.id, {
+            packingList: { items },
+            ...(history && { history: withChange(trip, req.session.userId, ...history) }),
+            updatedAt: new Date().toISOString(),
+        });
+        return result;
+    });
+}
+
+// Custom item; owner and collaborators alike
+app.post("/api/trips/:id/packing", async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        const { item, error } = normalizeItem(req.body);
+        if (error) return res.status(400).json({ error });
+
+        const result = await updatePackingList(req, items => {
+            if (items.length >= MAX_PACKING_ITEMS) {
+                return { status: 400, error: `A packing list holds at most ${MAX_PACKING_ITEMS} items` };
+            }
+            const added = { ...item, id: crypto.randomUUID(), source: "custom", addedBy: req.session.userId };
+            items.push(added);
+            return { item: added, history: ["packing.add", { item: added.name }] };
+        });
+        if (result.error) return res.status(result.status).json({ error: result.error });
+
+        res.json({ ok: true, item: result.item });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Check off or edit an item. Checking is recorded on the item rather than
+// in the trip's changes, which it would otherwise flood.
+app.patch("/api/trips/:id/packing/:itemId", async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        const result = await updatePackingList(req, items => {
+            const index = items.findIndex(i => i.id === req.params.itemId);
+            if (index === -1) return { status: 404, error: "Item not found" };
+
+            const { item, error } = normalizeItem(req.body, items[index]);
+            if (error) return { status: 400, error };
+            if (req.body?.checked !== undefined) item.checkedBy = item.checked ? req.session.userId : null;
+            items[index] = item;
+
+            const edited = ["name", "category", "quantity"].some(key => req.body?.[key] !== undefined);
+            return { item, ...(edited && { history: ["packing.edit", { item: item.name }] }) };
+        });
+        if (result.error) return res.status(result.status).json({ error: result.error });
+
+        res.json({ ok: true, item: result.item });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+app.delete("/api/trips/:id/packing/:itemId", async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        const result = await updatePackingList(req, items => {
+            const index = items.findIndex(i => i.id === req.params.itemId);
+            if (index === -1) return { status: 404, error: "Item not found" };
+
+            const [removed] = items.splice(index, 1);
+            return { history: ["packing.remove", { item: removed.name }] };
         });
+        if (result.error) return res.status(result.status).json({ error: result.error });
+
+        res.json({ ok: true, message: "Item removed" });
     } catch (e) {
         console.error(e);
-        res.status(500).json({ error: e.message });
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// ============================================================================
+// ROUTES - SHARING & COLLABORATION
+// ============================================================================
+
+const SHARE_TOKEN = /^[A-Za-z0-9_-]{32}$/;
+
+// Create or replace the trip's read-only link; replacing revokes the old one
+app.post("/api/trips/:id/share", audited("trip.share"), async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+        res.locals.audit.tripId = req.params.id;
+
+        const shareToken = crypto.randomBytes(24).toString("base64url");
+        const trip = await storage.transaction(tx => {
+            const current = findOwnTrip(tx, req.session.userId, req.params.id);
+            if (!current) return null;
+            return tx.update("trips", current.id, {
+                shareToken,
+                history: withChange(current, req.session.userId, "share.create"),
+            });
+        });
+        if (!trip) return res.status(404).json({ error: "Trip not found" });
+
+        res.json({ ok: true, message: "Share link created", shareToken });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+app.delete("/api/trips/:id/share", audited("trip.unshare"), async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+        res.locals.audit.tripId = req.params.id;
+
+        const trip = await storage.transaction(tx => {
+            const current = findOwnTrip(tx, req.session.userId, req.params.id);
+            if (!current) return null;
+            return tx.update("trips", current.id, {
+                shareToken: null,
+                history: withChange(current, req.session.userId, "share.revoke"),
+            });
+        });
+        if (!trip) return res.status(404).json({ error: "Trip not found" });
+
+        res.json({ ok: true, message: "Share link revoked" });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// No sign-in: the token is the only credential
+app.get("/api/shared/:token", async(req, res) => {
+    try {
+        const token = String(req.params.token);
+        const trip = SHARE_TOKEN.test(token) ? storage.list("trips", t => t.shareToken === token)[0] : null;
+        if (!trip) return res.status(404).json({ error: "This link is invalid or has been revoked" });
+
+        res.json({ ok: true, trip: sharedTripView(trip) });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+app.post("/api/trips/:id/collaborators", audited("trip.collaborator_add"), async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+        res.locals.audit.tripId = req.params.id;
+
+        const invitee = findUser(sanitizeId(req.body?.userId));
+        if (!invitee || invitee.deleteAfter) return res.status(404).json({ error: "No account with that ID" });
+
+        const result = await storage.transaction(tx => {
+            const trip = findOwnTrip(tx, req.session.userId, req.params.id);
+            if (!trip) return { status: 404, error: "Trip not found" };
+            if (invitee.userId === trip.userId) return { status: 400, error: "You already own this trip" };
+            if (isCollaborator(trip, invitee.userId)) return { status: 409, error: `${invitee.userId} is already a collaborator` };
+            if ((trip.collaborators || []).length >= MAX_COLLABORATORS) {
+                return { status: 400, error: `A trip can have at most ${MAX_COLLABORATORS} collaborators` };
+            }
+
+            const collaborators = [...(trip.collaborators || []), { userId: invitee.userId, addedAt: new Date().toISOString() }];
+            tx.update("trips", trip.id, {
+                collaborators,
+                history: withChange(trip, req.session.userId, "collaborator.add", { collaborator: invitee.userId }),
+            });
+            return { collaborators };
+        });
+        if (result.error) return res.status(result.status).json({ error: result.error });
+
+        // Only now does the event concern the invitee; their activity feed
+        // shows it without the owner's account or address
+        res.locals.audit.target = invitee.userId;
+        res.json({ ok: true, message: `${invitee.userId} can now view and edit this trip`, collaborators: result.collaborators });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// The owner removes a collaborator, or a collaborator leaves
+app.delete("/api/trips/:id/collaborators/:userId", audited("trip.collaborator_remove"), async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+        res.locals.audit.tripId = req.params.id;
+        // Tagged with the removed account only once the removal happened, so
+        // failed attempts don't show up in other people's activity
+        res.locals.audit.target = undefined;
+
+        const me = req.session.userId;
+        const leaving = userKey(req.params.userId) === userKey(me);
+        const result = await storage.transaction(tx => {
+            const access = findTripAccess(tx, me, req.params.id);
+            if (!access || (access.role !== "owner" && !leaving)) return { status: 404, error: "Trip not found" };
+            const { trip } = access;
+            if (!isCollaborator(trip, req.params.userId)) return { status: 404, error: "Not a collaborator on this trip" };
+
+            const collaborators = trip.collaborators.filter(c => userKey(c.userId) !== userKey(req.params.userId));
+            tx.update("trips", trip.id, {
+                collaborators,
+                history: withChange(trip, me, "collaborator.remove", { collaborator: req.params.userId }),
+            });
+            return { collaborators };
+        });
+        if (result.error) return res.status(result.status).json({ error: result.error });
+
+        res.locals.audit.target = req.params.userId;
+        res.json({ ok: true, message: leaving ? "You left the trip" : "Collaborator removed", collaborators: result.collaborators });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+app.post("/api/trips/:id/comments", async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        const text = String(req.body?.text || "").trim();
+        if (!text || text.length > MAX_COMMENT_LENGTH) {
+            return res.status(400).json({ error: `Comments must be 1-${MAX_COMMENT_LENGTH} characters` });
+        }
+
+        const result = await storage.transaction(tx => {
+            const trip = findTripAccess(tx, req.session.userId, req.params.id)?.trip;
+            if (!trip) return { status: 404, error: "Trip not found" };
+            if ((trip.comments || []).length >= MAX_COMMENTS) return { status: 400, error: "This trip has too many comments" };
+
+            const comment = { id: crypto.randomUUID(), userId: req.session.userId, text, at: new Date().toISOString() };
+            tx.update("trips", trip.id, { comments: [...(trip.comments || []), comment] });
+            return { comment };
+        });
+        if (result.error) return res.status(result.status).json({ error: result.error });
+
+        res.json({ ok: true, comment: result.comment });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Authors can delete their own comments; owners can delete any
+app.delete("/api/trips/:id/comments/:commentId", async(req, res) => {
+    try {
+        if (!req.session.userId) return res.status(401).json({ error: "Not signed in" });
+
+        const result = await storage.transaction(tx => {
+            const access = findTripAccess(tx, req.session.userId, req.params.id);
+            if (!access) return { status: 404, error: "Trip not found" };
+            const comments = access.trip.comments || [];
+            const comment = comments.find(c => c.id === req.params.commentId);
+            if (!comment) return { status: 404, error: "Comment not found" };
+            if (comment.userId !== req.session.userId && access.role !== "owner") {
+                return { status: 403, error: "You can only delete your own comments" };
+            }
+
+            tx.update("trips", access.trip.id, { comments: comments.filter(c => c !== comment) });
+            return {};
+        });
+        if (result.error) return res.status(result.status).json({ error: result.error });
+
+        res.json({ ok: true, message: "Comment deleted" });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
     }
 });
 
@@ -489,7 +2690,31 @@ app.get("/", (_req, res) => {
     res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
-app.listen(PORT, async() => {
-    await ensureUsersFile();
+await storage.open({ legacy: { users: LEGACY_USERS_FILE, trips: LEGACY_TRIPS_FILE } });
+await sessionStore.open();
+
+await purgeDeletedAccounts();
+setInterval(() => purgeDeletedAccounts().catch(e => console.error("Account purge failed:", e)), PURGE_INTERVAL_MS).unref();
+
+// ADMIN_USER_IDS=alice,bob promotes existing accounts at startup
+const bootstrapAdmins = (process.env.ADMIN_USER_IDS || "").split(",").map(sanitizeId).filter(Boolean);
+if (bootstrapAdmins.length) {
+    const promoted = await storage.transaction(tx =>
+        bootstrapAdmins.filter(id => tx.update("users", userKey(id), { role: "admin" }))
+    );
+    const missing = bootstrapAdmins.filter(id => !promoted.includes(id));
+    if (promoted.length) console.log(`Admins: ${promoted.join(", ")}`);
+    if (missing.length) console.warn(`ADMIN_USER_IDS: no such account: ${missing.join(", ")}`);
+}
+await weatherCache.load();
+
+// Exit through process.exit so the storage lock files are released
+for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => process.exit(0));
+}
+
+app.listen(PORT, () => {
     console.log(`Server running at http://localhost:${PORT}`);
+    console.log(`LLM provider: ${llm.name} (${llm.model})`);
+    console.log(`Geocoder: ${GEOCODER}`);
 });
\ No newline at end of file